@@ -31,7 +31,13 @@
 
 const syslog = require("greenhat-util/syslog");
 const IPManage = require("./src/ipmanage");
+const IPManager = require("./src/ipmanager");
 
+// Required as a library, so there is no command line to run.
+if (require.main !== module) {
+    module.exports = IPManager;
+    return;
+}
 
 try {
 
@@ -61,11 +67,13 @@ try {
         return ssg.run();
     });
     */
+    // Created first, as it decides where console output goes.
+    let ipm = new IPManage();
+
     console.log(' ');
     syslog.notice('='.repeat(50));
     syslog.notice("GreenHat IP Manager");
 
-    let ipm = new IPManage();
     return ipm.run();
 
 } catch (err) {
@@ -0,0 +1,479 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      ApiServer
+ * @author      Gordon Ansell   <contact@gordonansell.com>
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const syslog = require("greenhat-util/syslog");
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Largest request body we accept.
+ */
+const MAX_BODY = 65536;
+
+/**
+ * Local HTTP server giving JSON access to the block list.
+ *
+ * Every request needs 'Authorization: Bearer <token>'. Endpoints are:
+ *
+ *  GET     /blocks             Blocks, filtered, sorted and paged as for the query command
+ *                              (?status=, ?contains=, ?reason=, ?sort=, ?limit=, ...).
+ *  POST    /blocks             Block { ip, ports, days, reason, netrange, force }.
+ *  DELETE  /blocks             Unblock ?ip=&ports=.
+ *  GET     /check              Entries covering ?ip= (for ?port=).
+ *  GET     /lookup             GeoIP and whois for ?ip= (?nocache=1).
+ *  POST    /expire             Expire old blocks.
+ *
+ * Requests that use the lists are queued and run one at a time. Changes also hold the
+ * lock file, so they never overlap a command run from the console, and the lists are
+ * read again whenever their files have been changed by someone else.
+ */
+class ApiServer
+{
+    /**
+     * HTTP server.
+     * @var {http.Server|null}
+     */
+    server = null;
+
+    /**
+     * Tail of the queue of requests.
+     * @var {Promise}
+     */
+    queue = Promise.resolve();
+
+    /**
+     * Modification times of the list files when we last read or wrote them.
+     * @var {object}
+     */
+    mtimes = {};
+
+    /**
+     * Constructor.
+     *
+     * @param   {IPManager} manager     Manager holding the lists.
+     * @param   {object}    opts        Options as { host, port, token }.
+     */
+    constructor(manager, opts)
+    {
+        this.manager = manager;
+        this.host = opts.host || '127.0.0.1';
+        this.port = opts.port || 8380;
+        this.token = opts.token || null;
+    }
+
+    /**
+     * Start listening.
+     *
+     * @return  {boolean}   True if we are listening, else false.
+     */
+    async start()
+    {
+        if (!this.token) {
+            syslog.error(`No API token configured (cfg.api.token or IPMANAGER_API_TOKEN).`);
+            return false;
+        }
+
+        if (!['127.0.0.1', '::1', 'localhost'].includes(this.host)) {
+            syslog.warning(`The API is listening on ${this.host}, not just on localhost.`);
+        }
+
+        this._remember();
+
+        this.server = http.createServer((req, res) => this._handle(req, res));
+
+        try {
+            await new Promise((resolve, reject) => {
+                this.server.once('error', reject);
+                this.server.listen(this.port, this.host, resolve);
+            });
+        } catch (err) {
+            syslog.error(`Failed to listen on ${this.host}:${this.port}:  ${err.message}`);
+            return false;
+        }
+
+        syslog.notice(`API listening on http://${this.host}:${this.port}/.`);
+        return true;
+    }
+
+    /**
+     * Stop listening, once any queued changes are done.
+     */
+    async stop()
+    {
+        if (!this.server) {
+            return;
+        }
+
+        await new Promise(resolve => this.server.close(resolve));
+        await this.queue;
+        this.server = null;
+
+        syslog.notice(`API stopped.`);
+    }
+
+    /**
+     * Handle a request.
+     *
+     * @param   {http.IncomingMessage}  req     Request.
+     * @param   {http.ServerResponse}   res     Response.
+     */
+    async _handle(req, res)
+    {
+        let route = req.method;
+
+        try {
+            // The base is only there to make the path absolute; the host may not fit in a URL.
+            let url = new URL(req.url, 'http://localhost');
+            route = `${req.method} ${url.pathname.replace(/\/+$/, '')}`;
+
+            if (!this._authorised(req)) {
+                this._send(res, 401, {error: 'Unauthorised.'});
+                return;
+            }
+
+            let body = (req.method == 'POST') ? await this._body(req) : {};
+            let query = Object.fromEntries(url.searchParams);
+            let result = null;
+
+            switch (route) {
+                case 'GET /blocks':
+                    result = await this._read(() => this._list(query));
+                    break;
+                case 'POST /blocks':
+                    result = await this._write(() => this._block(body), route, body);
+                    break;
+                case 'DELETE /blocks':
+                    result = await this._write(() => this._unblock(query), route, query);
+                    break;
+                case 'GET /check':
+                    result = await this._read(() => this._check(query));
+                    break;
+                case 'GET /lookup':
+                    result = await this._lookup(query);
+                    break;
+                case 'POST /expire':
+                    result = await this._write(() => this._expire(), route, {});
+                    break;
+                default:
+                    this._send(res, 404, {error: `No such endpoint: ${route}.`});
+                    return;
+            }
+
+            this._send(res, 200, result);
+
+        } catch (err) {
+            let status = err.status || ((err.refused) ? 400 : 500);
+            if (status >= 500) {
+                syslog.error(`API ${route} failed:  ${err.message}`);
+            }
+            this._send(res, status, {error: err.message});
+        }
+    }
+
+    /**
+     * List blocks.
+     *
+     * @param   {object}    query   Query as the filters of IPList.query, plus { sort, reverse, offset, limit }.
+     * @return  {object}            { total, items }.
+     */
+    async _list(query)
+    {
+        let filters = Object.assign({}, query);
+        let opts = {};
+        for (let key of ['sort', 'reverse', 'offset', 'limit']) {
+            opts[key] = filters[key];
+            delete filters[key];
+        }
+        opts.reverse = (opts.reverse && opts.reverse != '0');
+
+        return await this.manager.query(filters, opts);
+    }
+
+    /**
+     * Block.
+     *
+     * @param   {object}    body    Body as { ip, ports, days, reason, netrange, force }.
+     * @return  {object}            { added }.
+     */
+    async _block(body)
+    {
+        let ip = this._need(body.ip, 'ip');
+
+        let added = await this.manager.block(ip, {
+            ports: body.ports || null,
+            days: (body.days === 0) ? 999999 : body.days || null,
+            reason: body.reason || null,
+            netrange: body.netrange,
+            force: body.force,
+        });
+
+        return {
+            added: added,
+        };
+    }
+
+    /**
+     * Unblock.
+     *
+     * @param   {object}    query   Query as { ip, ports }.
+     * @return  {object}            { removed }.
+     */
+    async _unblock(query)
+    {
+        return {
+            removed: await this.manager.unblock(this._need(query.ip, 'ip'), query.ports || null),
+        };
+    }
+
+    /**
+     * Check an IP.
+     *
+     * @param   {object}    query   Query as { ip, port }.
+     * @return  {object}            Result of IPManager.check().
+     */
+    async _check(query)
+    {
+        return await this.manager.check(this._need(query.ip, 'ip'), (query.port) ? query.port : null);
+    }
+
+    /**
+     * Look up an IP.
+     *
+     * @param   {object}    query   Query as { ip, nocache }.
+     * @return  {object}            { geo, whois }.
+     */
+    async _lookup(query)
+    {
+        let result = await this.manager.lookup(this._need(query.ip, 'ip'), !query.nocache);
+        if (this.manager.who.cache) {
+            this.manager.who.cache.save();
+        }
+        return result;
+    }
+
+    /**
+     * Expire old blocks.
+     *
+     * @return  {object}    { expired }.
+     */
+    async _expire()
+    {
+        return {
+            expired: await this.manager.expire(),
+        };
+    }
+
+    /**
+     * Queue a read, to be run against up-to-date lists.
+     *
+     * @param   {function}  fn      Function to run.
+     * @return  {*}                 What it returns.
+     */
+    _read(fn)
+    {
+        return this._enqueue(async () => {
+            await this._refresh();
+            return await fn();
+        });
+    }
+
+    /**
+     * Queue a change, to be run holding the lock against up-to-date lists.
+     *
+     * Each change is a run of its own: it gets its own snapshot, so it can be undone on
+     * its own, and is journalled as the request that made it.
+     *
+     * @param   {function}  fn      Function to run.
+     * @param   {string}    route   Route, e.g. 'POST /blocks'.
+     * @param   {object}    params  Request parameters.
+     * @return  {*}                 What it returns.
+     */
+    _write(fn, route, params)
+    {
+        return this._enqueue(async () => {
+            if (!await this.manager.lock.acquire()) {
+                throw this._error(503, 'The lists are locked by another instance.');
+            }
+            let command = this.manager.journal.command;
+            try {
+                this.manager.journal.command = `api ${route} ${JSON.stringify(params)}`;
+                for (let list of [this.manager.blocks, this.manager.allows]) {
+                    list.snapshotTaken = false;
+                }
+                await this._refresh();
+                for (let list of [this.manager.blocks, this.manager.allows]) {
+                    if (list.corrupt) {
+                        throw this._error(503, `The '${list.name}' list is corrupt: ${list.corrupt}`);
+                    }
+                }
+                return await fn();
+            } finally {
+                this.manager.journal.command = command;
+                this._remember();
+                this.manager.lock.release();
+            }
+        });
+    }
+
+    /**
+     * Add to the queue, so nothing reads the lists while they are being changed.
+     *
+     * @param   {function}  fn      Function to run.
+     * @return  {Promise}           Settles with the function.
+     */
+    _enqueue(fn)
+    {
+        let ret = this.queue.then(fn);
+        this.queue = ret.catch(() => {});
+        return ret;
+    }
+
+    /**
+     * Read again any list whose file has changed since we last saw it.
+     */
+    async _refresh()
+    {
+        for (let list of [this.manager.blocks, this.manager.allows]) {
+            if (this._mtime(list.filePath) != this.mtimes[list.filePath]) {
+                syslog.notice(`The '${list.name}' list has changed on disk, reading it again.`);
+                await list.read();
+                this.mtimes[list.filePath] = this._mtime(list.filePath);
+            }
+        }
+    }
+
+    /**
+     * Remember the modification times of the list files.
+     */
+    _remember()
+    {
+        for (let list of [this.manager.blocks, this.manager.allows]) {
+            this.mtimes[list.filePath] = this._mtime(list.filePath);
+        }
+    }
+
+    /**
+     * Get the modification time of a file.
+     *
+     * @param   {string}    fp      File path.
+     * @return  {number|null}       Milliseconds, or null if it does not exist.
+     */
+    _mtime(fp)
+    {
+        try {
+            return fs.statSync(fp).mtimeMs;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * See if a request carries the token.
+     *
+     * @param   {http.IncomingMessage}  req     Request.
+     * @return  {boolean}                       True if it does, else false.
+     */
+    _authorised(req)
+    {
+        let m = (req.headers['authorization'] || '').match(/^Bearer\s+(.+)$/i);
+        if (!m) {
+            return false;
+        }
+
+        let given = Buffer.from(m[1].trim());
+        let wanted = Buffer.from(String(this.token));
+
+        return given.length == wanted.length && crypto.timingSafeEqual(given, wanted);
+    }
+
+    /**
+     * Read a JSON request body.
+     *
+     * @param   {http.IncomingMessage}  req     Request.
+     * @return  {object}                        Body.
+     */
+    async _body(req)
+    {
+        let chunks = [];
+        let size = 0;
+
+        for await (let chunk of req) {
+            size += chunk.length;
+            if (size > MAX_BODY) {
+                throw this._error(413, 'Request body too large.');
+            }
+            chunks.push(chunk);
+        }
+
+        let text = Buffer.concat(chunks).toString('utf-8');
+        if (text.trim() == '') {
+            return {};
+        }
+
+        try {
+            let ret = JSON.parse(text);
+            if (ret === null || typeof ret != 'object') {
+                throw new Error('not an object');
+            }
+            return ret;
+        } catch (err) {
+            throw this._error(400, `Request body is not a JSON object: ${err.message}`);
+        }
+    }
+
+    /**
+     * Send a JSON response.
+     *
+     * @param   {http.ServerResponse}   res     Response.
+     * @param   {number}                status  HTTP status.
+     * @param   {object}                data    Data.
+     */
+    _send(res, status, data)
+    {
+        let body = JSON.stringify(data, (key, value) => (typeof value == 'bigint') ? value.toString() : value);
+        res.writeHead(status, {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body),
+        });
+        res.end(body);
+    }
+
+    /**
+     * Insist on a parameter.
+     *
+     * @param   {*}         value   Value.
+     * @param   {string}    name    Parameter name.
+     * @return  {string}            Value.
+     */
+    _need(value, name)
+    {
+        if (value === undefined || value === null || value === '') {
+            throw this._error(400, `Missing parameter '${name}'.`);
+        }
+        return String(value);
+    }
+
+    /**
+     * Create an error with an HTTP status.
+     *
+     * @param   {number}    status  HTTP status.
+     * @param   {string}    message Message.
+     * @return  {Error}             Error.
+     */
+    _error(status, message)
+    {
+        let err = new Error(message);
+        err.status = status;
+        return err;
+    }
+}
+
+module.exports = ApiServer;
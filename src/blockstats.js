@@ -0,0 +1,242 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      BlockStats
+ * @author      Gordon Ansell   <contact@gordonansell.com>
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+/**
+ * Summary statistics for a block list.
+ */
+class BlockStats
+{
+    /**
+     * Constructor.
+     *
+     * @param   {IPList}    list        List to summarise.
+     * @param   {Journal}   journal     Journal of its changes (or null).
+     */
+    constructor(list, journal = null)
+    {
+        this.list = list;
+        this.journal = journal;
+    }
+
+    /**
+     * Work out the statistics.
+     *
+     * Counts and address space are for the active entries. The weekly figures and
+     * repeat offenders come from the journal, as expired records may have been deleted
+     * and a record that is blocked again is reused, so the list only knows the latest
+     * block of each address.
+     *
+     * @param   {object}    opts    Options as { weeks (default 12), top (default 10) }.
+     * @return  {object}            Statistics.
+     */
+    compute(opts = {})
+    {
+        let weeks = opts.weeks || 12;
+        let top = opts.top || 10;
+
+        let items = this.list.items;
+        let active = items.filter(item => !item.status);
+        let expired = items.filter(item => item.status == 1);
+        let changes = (this.journal) ? this.journal.read().filter(entry => entry.list == this.list.name) : [];
+
+        return {
+            dtGenerated: new Date().toISOString(),
+            list: this.list.name,
+            total: items.length,
+            active: active.length,
+            expired: expired.length,
+            permanent: active.filter(item => this.list.getBlockDays(item) >= 999999).length,
+            space: this._space(active),
+            byCountry: this._count(active, item => item.country || 'Unknown'),
+            byOrg: this._count(active, item => {
+                let name = item.org || null;
+                if (item.asn) {
+                    name = `AS${item.asn}` + ((name) ? ` ${name}` : '');
+                }
+                return name || 'Unknown';
+            }),
+            byReason: this._count(active, item => item.reason || 'None given'),
+            byPorts: this._count(active, item => item.ports || 'All ports'),
+            weekly: this._weekly(changes, weeks),
+            offenders: this._offenders(changes, active, top),
+        };
+    }
+
+    /**
+     * Count entries by a key, biggest first.
+     *
+     * @param   {object[]}  items   Entries.
+     * @param   {function}  keyFn   Function giving an entry's key.
+     * @return  {object[]}          Counts as { key, count }.
+     */
+    _count(items, keyFn)
+    {
+        let counts = new Map();
+        for (let item of items) {
+            let key = keyFn(item);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+
+        return Array.from(counts, ([key, count]) => ({key: key, count: count}))
+            .sort((a, b) => b.count - a.count || String(a.key).localeCompare(String(b.key)));
+    }
+
+    /**
+     * Work out the address space covered, counting overlaps once.
+     *
+     * @param   {object[]}  items   Active entries.
+     * @return  {object}            { v4: addresses, v6: /64 networks } as strings.
+     */
+    _space(items)
+    {
+        let ret = {};
+
+        for (let [key, version] of [['v4', 4], ['v6', 6]]) {
+            let ranges = items.filter(item => item.working.version == version)
+                .map(item => [item.working.fromDec, item.working.toDec])
+                .sort((a, b) => (a[0] < b[0]) ? -1 : (a[0] > b[0]) ? 1 : 0);
+
+            let total = 0n;
+            let current = null;
+            for (let range of ranges) {
+                if (current && range[0] <= current[1] + 1n) {
+                    if (range[1] > current[1]) {
+                        current[1] = range[1];
+                    }
+                    continue;
+                }
+                if (current) {
+                    total += current[1] - current[0] + 1n;
+                }
+                current = [range[0], range[1]];
+            }
+            if (current) {
+                total += current[1] - current[0] + 1n;
+            }
+
+            ret[key] = ((version == 4) ? total : total >> 64n).toString();
+        }
+
+        return ret;
+    }
+
+    /**
+     * Count additions and expiries per week (weeks start on Monday, UTC).
+     *
+     * @param   {object[]}  changes     Journal entries for the list.
+     * @param   {number}    weeks       Weeks to go back, including this one.
+     * @return  {object[]}              Weeks as { week, added, expired }, oldest first.
+     */
+    _weekly(changes, weeks)
+    {
+        let ret = [];
+        let byWeek = new Map();
+
+        let start = this._weekStart(new Date());
+        for (let i = weeks - 1; i >= 0; i--) {
+            let dt = new Date(start.getTime() - (i * 7 * 86400000));
+            let week = {week: dt.toISOString().substring(0, 10), added: 0, expired: 0};
+            ret.push(week);
+            byWeek.set(week.week, week);
+        }
+
+        for (let entry of changes) {
+            let key = (this._isBlock(entry)) ? 'added' : (entry.action == 'expire') ? 'expired' : null;
+            if (!key) {
+                continue;
+            }
+            let dt = new Date(entry.dt);
+            if (isNaN(dt)) {
+                continue;
+            }
+            let week = byWeek.get(this._weekStart(dt).toISOString().substring(0, 10));
+            if (week) {
+                week[key]++;
+            }
+        }
+
+        return ret;
+    }
+
+    /**
+     * Get the start of the week a date is in.
+     *
+     * @param   {Date}      dt      Date.
+     * @return  {Date}              Monday, 00:00 UTC.
+     */
+    _weekStart(dt)
+    {
+        let ret = new Date(Date.UTC(dt.getUTCFullYear(), dt.getUTCMonth(), dt.getUTCDate()));
+        ret.setUTCDate(ret.getUTCDate() - ((ret.getUTCDay() + 6) % 7));
+        return ret;
+    }
+
+    /**
+     * Find the addresses blocked most often.
+     *
+     * @param   {object[]}  changes     Journal entries for the list.
+     * @param   {object[]}  active      Active entries.
+     * @param   {number}    top         How many to return.
+     * @return  {object[]}              Offenders as { ip, blocks, expired, offences, lastAdded, active, country, org, reason }.
+     */
+    _offenders(changes, active, top)
+    {
+        let byIp = new Map();
+
+        for (let entry of changes) {
+            let blocked = this._isBlock(entry);
+            if (!blocked && entry.action != 'expire') {
+                continue;
+            }
+
+            let offender = byIp.get(entry.ip);
+            if (!offender) {
+                offender = {ip: entry.ip, blocks: 0, expired: 0, offences: 0, lastAdded: null, active: false};
+                byIp.set(entry.ip, offender);
+            }
+
+            if (!blocked) {
+                offender.expired++;
+                continue;
+            }
+
+            offender.blocks++;
+            offender.offences = Math.max(offender.offences, entry.after.offences || 0);
+            offender.lastAdded = entry.dt;
+            offender.country = entry.after.country || null;
+            offender.org = entry.after.org || null;
+            offender.reason = entry.after.reason || null;
+        }
+
+        let ips = new Set(active.map(item => item.ip));
+
+        return Array.from(byIp.values())
+            .filter(offender => offender.blocks > 1 || offender.offences > 1)
+            .map(offender => Object.assign(offender, {active: ips.has(offender.ip)}))
+            .sort((a, b) => Math.max(b.blocks, b.offences) - Math.max(a.blocks, a.offences) ||
+                String(b.lastAdded).localeCompare(String(a.lastAdded)))
+            .slice(0, top);
+    }
+
+    /**
+     * See if a journal entry is an address being blocked, either afresh or by bringing
+     * back its expired record (as opposed to an undo or restore putting entries back).
+     *
+     * @param   {object}    entry   Journal entry.
+     * @return  {boolean}           True if it is, else false.
+     */
+    _isBlock(entry)
+    {
+        return (entry.action == 'add' && entry.after != null) ||
+            (entry.action == 'restore' && entry.before != null && entry.after != null);
+    }
+}
+
+module.exports = BlockStats;
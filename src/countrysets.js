@@ -0,0 +1,130 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      CountrySets
+ * @author      Gordon Ansell   <contact@gordonansell.com>
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const syslog = require("greenhat-util/syslog");
+const fs = require('fs');
+
+/**
+ * The countries blocked as a whole, with the options they were blocked with and a
+ * signature of the delegated statistics files their prefixes were built from.
+ */
+class CountrySets
+{
+    /**
+     * Sets, keyed by country code.
+     * @var {object}
+     */
+    sets = {};
+
+    /**
+     * Why the file could not be read, if it could not.
+     * @var {string|null}
+     */
+    corrupt = null;
+
+    /**
+     * Constructor.
+     *
+     * @param   {string}    filePath    Path to the file.
+     */
+    constructor(filePath)
+    {
+        this.filePath = filePath;
+        this.read();
+    }
+
+    /**
+     * Read the file.
+     *
+     * A file that cannot be read leaves no sets and is marked corrupt, and is then
+     * never written, so the sets it holds are not lost.
+     */
+    read()
+    {
+        this.sets = {};
+        this.corrupt = null;
+
+        if (!fs.existsSync(this.filePath)) {
+            return;
+        }
+
+        try {
+            this.sets = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+        } catch (err) {
+            this.corrupt = err.message;
+            syslog.error(`Failed to read country sets from '${this.filePath}':  ${err.message}`);
+        }
+    }
+
+    /**
+     * Write the file.
+     */
+    write()
+    {
+        if (this.corrupt) {
+            syslog.error(`Not writing the country sets as they could not be read: ${this.corrupt}`);
+            return;
+        }
+
+        try {
+            let tmp = `${this.filePath}.${process.pid}.tmp`;
+            fs.writeFileSync(tmp, JSON.stringify(this.sets, null, 4));
+            fs.renameSync(tmp, this.filePath);
+        } catch (err) {
+            syslog.error(`Failed to write country sets to '${this.filePath}':  ${err.message}`);
+        }
+    }
+
+    /**
+     * Get a set.
+     *
+     * @param   {string}    cc      Country code.
+     * @return  {object|null}       Set as { ports, days, reason, signature, dtBuilt, count } or null.
+     */
+    get(cc)
+    {
+        return this.sets[cc] || null;
+    }
+
+    /**
+     * Save a set.
+     *
+     * @param   {string}    cc      Country code.
+     * @param   {object}    set     Set.
+     */
+    set(cc, set)
+    {
+        this.sets[cc] = set;
+        this.write();
+    }
+
+    /**
+     * Delete a set.
+     *
+     * @param   {string}    cc      Country code.
+     */
+    delete(cc)
+    {
+        delete this.sets[cc];
+        this.write();
+    }
+
+    /**
+     * Get the country codes of all sets.
+     *
+     * @return  {string[]}  Country codes.
+     */
+    countries()
+    {
+        return Object.keys(this.sets).sort();
+    }
+}
+
+module.exports = CountrySets;
@@ -0,0 +1,49 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      ApacheExporter
+ * @author      Gordon Ansell   <contact@gordonansell.com> 
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const NginxExporter = require("./nginx");
+
+/**
+ * Apache 2.4 'Require not ip' exporter.
+ * 
+ * Produces a <RequireAll> block to include in a <Directory> or <Location>. Port
+ * handling is the same as for nginx.
+ */
+class ApacheExporter extends NginxExporter
+{
+    static format = 'apache';
+    static defaultFile = 'blocks.apache.conf';
+
+    /**
+     * Render the list.
+     * 
+     * @return  {string}    Rendered output.
+     */
+    async render()
+    {
+        let final = '<RequireAll>\n';
+        final += '    Require all granted\n';
+
+        for (let item of await this.getItems()) {
+            if (!this.appliesToHttp(item)) {
+                continue;
+            }
+            // Apache does not allow trailing comments.
+            final += `    # ${this.comment(item)}\n`;
+            final += `    Require not ip ${item.ip}\n`;
+        }
+
+        final += '</RequireAll>\n';
+
+        return final;
+    }
+}
+
+module.exports = ApacheExporter;
@@ -0,0 +1,51 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      CsfExporter
+ * @author      Gordon Ansell   <contact@gordonansell.com> 
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const Exporter = require("./exporter");
+
+/**
+ * CSF (ConfigServer Security & Firewall) csf.deny / csf.allow exporter.
+ */
+class CsfExporter extends Exporter
+{
+    static format = 'csf';
+    static defaultFile = 'csf.deny';
+
+    /**
+     * Render the list.
+     * 
+     * @return  {string}    Rendered output.
+     */
+    async render()
+    {
+        let final = '';
+
+        for (let item of await this.getItems()) {
+            let ports = this.getPorts(item);
+            let comment = ` # ${this.comment(item)}`;
+
+            if (!ports) {
+                final += item.ip + "\t\t\t" + comment + '\n';
+                continue;
+            }
+
+            let dports = ports.ports.map(p => this.formatPort(p, '_')).join(',');
+            for (let proto of this.protos(ports.proto)) {
+                let line = (proto == 'tcp') ? '' : `${proto}|in|`;
+                line += `d=${dports}|s=${item.ip}`;
+                final += line + "\t" + comment + '\n';
+            }
+        }
+
+        return final;
+    }
+}
+
+module.exports = CsfExporter;
@@ -0,0 +1,181 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      Exporter
+ * @author      Gordon Ansell   <contact@gordonansell.com> 
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const syslog = require("greenhat-util/syslog");
+
+/**
+ * Base class for firewall exporters.
+ * 
+ * An exporter renders the active entries of an IP list in the syntax of one firewall
+ * or web server. Subclasses implement render().
+ */
+class Exporter
+{
+    /**
+     * Format name.
+     * @var {string}
+     */
+    static format = null;
+
+    /**
+     * Default output file name (within the data directory).
+     * @var {string}
+     */
+    static defaultFile = null;
+
+    /**
+     * Constructor.
+     * 
+     * @param   {IPList}    list    IP list to export.
+     * @param   {object}    cfg     Configs.
+     * @param   {object}    opts    Exporter options (cfg.exporters[format]).
+     */
+    constructor(list, cfg, opts = {})
+    {
+        this.list = list;
+        this.cfg = cfg;
+        this.opts = opts || {};
+    }
+
+    /**
+     * Render the list.
+     * 
+     * @return  {string}    Rendered output.
+     */
+    async render()
+    {
+        throw new Error(`Exporter '${this.constructor.format}' does not implement render().`);
+    }
+
+    /**
+     * Get the entries to export.
+     * 
+     * With opts.aggregate set, entries are aggregated into the fewest CIDRs first. The
+     * list itself is not changed.
+     * 
+     * @return  {object[]}  Active entries sorted by IP.
+     */
+    async getItems()
+    {
+        if (this.opts.aggregate) {
+            return await this.list.aggregatedItems();
+        }
+        this.list.sortByIP();
+        return this.list.items.filter(item => !item.status);
+    }
+
+    /**
+     * Get the ports for an entry (see IPList.portsOf).
+     * 
+     * @param   {object}    item    List entry.
+     * @return  {object|null}       { proto, ports: [{from, to}] } or null for all ports.
+     * @throws  {Error}             If the ports group is not configured.
+     */
+    getPorts(item)
+    {
+        return this.list.portsOf(item);
+    }
+
+    /**
+     * Format a port range.
+     * 
+     * @param   {object}    port    { from, to }
+     * @param   {string}    sep     Range separator.
+     * @return  {string}            Formatted port.
+     */
+    formatPort(port, sep = '-')
+    {
+        return (port.from == port.to) ? port.from : `${port.from}${sep}${port.to}`;
+    }
+
+    /**
+     * Expand a protocol spec.
+     * 
+     * @param   {string}    proto   'tcp', 'udp' or 'both'.
+     * @return  {string[]}          Protocols.
+     */
+    protos(proto)
+    {
+        return (proto == 'both') ? ['tcp', 'udp'] : [proto];
+    }
+
+    /**
+     * Get the IP version of an entry.
+     * 
+     * @param   {object}    item    List entry.
+     * @return  {number}            4 or 6.
+     */
+    version(item)
+    {
+        return item.working.version;
+    }
+
+    /**
+     * Build the comment for an entry.
+     * 
+     * @param   {object}    item    List entry.
+     * @return  {string}            Comment text (without comment marker).
+     */
+    comment(item)
+    {
+        let line = item.country || '--';
+
+        if (item.org) {
+            line += ` / ${item.org}`;
+        }
+
+        if (item.reason) {
+            line += ` / ${item.reason}`;
+        } else {
+            line += ` / General`;
+        }
+
+        if (item.dtAdded) {
+            line += ` / ${item.dtAdded}`;
+        }
+
+        if (this.list.expires) {
+            let blockDays = this.list.getBlockDays(item);
+
+            line += ` / ${blockDays} days`;
+
+            let expires = new Date(item.dtAdded);
+            expires.setMilliseconds(expires.getMilliseconds() + (blockDays * 86400000));
+
+            line += ` (${expires.toISOString()})`;
+        }
+
+        return line;
+    }
+
+    /**
+     * Quote a comment for formats that take it as a string argument.
+     * 
+     * @param   {string}    str     String to quote.
+     * @return  {string}            Quoted string.
+     */
+    quote(str)
+    {
+        return '"' + str.replace(/["\\]/g, '') + '"';
+    }
+
+    /**
+     * Log a skipped entry.
+     * 
+     * @param   {object}    item    List entry.
+     * @param   {string}    why     Reason.
+     */
+    skip(item, why)
+    {
+        syslog.warning(`${this.constructor.format}: skipping ${item.ip}: ${why}`);
+    }
+}
+
+module.exports = Exporter;
@@ -0,0 +1,21 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      Exporters
+ * @author      Gordon Ansell   <contact@gordonansell.com> 
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+/**
+ * Available exporters, keyed by format name.
+ */
+module.exports = {
+    csf: require("./csf"),
+    ipset: require("./ipset"),
+    nftables: require("./nftables"),
+    nginx: require("./nginx"),
+    apache: require("./apache"),
+    ufw: require("./ufw"),
+};
@@ -0,0 +1,71 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      IpsetExporter
+ * @author      Gordon Ansell   <contact@gordonansell.com> 
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const Exporter = require("./exporter");
+
+/**
+ * ipset restore file exporter (load with 'ipset restore < file').
+ * 
+ * Four sets are created from opts.setName (default 'ipm-blocks'): NAME and NAME6 for
+ * whole-host blocks and NAME-p and NAME6-p (hash:net,port) for port-scoped entries.
+ * Matching iptables rules are left to the host.
+ */
+class IpsetExporter extends Exporter
+{
+    static format = 'ipset';
+    static defaultFile = 'blocks.ipset';
+
+    /**
+     * Render the list.
+     * 
+     * @return  {string}    Rendered output.
+     */
+    async render()
+    {
+        let name = this.opts.setName || 'ipm-blocks';
+        let maxelem = this.opts.maxelem || 262144;
+
+        let sets = {
+            4: name,
+            6: name + '6',
+            '4p': name + '-p',
+            '6p': name + '6-p',
+        };
+
+        let final = '';
+        for (let key of Object.keys(sets)) {
+            let family = key.startsWith('4') ? 'inet' : 'inet6';
+            let type = key.endsWith('p') ? 'hash:net,port' : 'hash:net';
+            final += `create ${sets[key]} ${type} family ${family} maxelem ${maxelem} comment -exist\n`;
+            final += `flush ${sets[key]}\n`;
+        }
+
+        for (let item of await this.getItems()) {
+            let v = this.version(item);
+            let comment = this.quote(this.comment(item));
+            let ports = this.getPorts(item);
+
+            if (!ports) {
+                final += `add ${sets[v]} ${item.ip} comment ${comment} -exist\n`;
+                continue;
+            }
+
+            for (let port of ports.ports) {
+                for (let proto of this.protos(ports.proto)) {
+                    final += `add ${sets[v + 'p']} ${item.ip},${proto}:${this.formatPort(port)} comment ${comment} -exist\n`;
+                }
+            }
+        }
+
+        return final;
+    }
+}
+
+module.exports = IpsetExporter;
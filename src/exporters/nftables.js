@@ -0,0 +1,86 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      NftablesExporter
+ * @author      Gordon Ansell   <contact@gordonansell.com> 
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const Exporter = require("./exporter");
+
+/**
+ * nftables exporter (load with 'nft -f file').
+ * 
+ * Writes a self-contained table with one interval set per address family for
+ * whole-host blocks and one rule per port-scoped entry. The table is deleted and
+ * recreated on each load.
+ */
+class NftablesExporter extends Exporter
+{
+    static format = 'nftables';
+    static defaultFile = 'blocks.nft';
+
+    /**
+     * Render the list.
+     * 
+     * @return  {string}    Rendered output.
+     */
+    async render()
+    {
+        let table = this.opts.table || 'ipm';
+        let set = this.opts.set || 'blocks';
+        let priority = (this.opts.priority !== undefined) ? this.opts.priority : -10;
+
+        let elements = {4: [], 6: []};
+        let rules = [];
+
+        for (let item of await this.getItems()) {
+            let v = this.version(item);
+            let ports = this.getPorts(item);
+
+            if (!ports) {
+                elements[v].push(`\t\t\t${item.ip}`);
+                continue;
+            }
+
+            let saddr = (v == 4) ? 'ip saddr' : 'ip6 saddr';
+            let dports = ports.ports.map(p => this.formatPort(p)).join(', ');
+            for (let proto of this.protos(ports.proto)) {
+                rules.push(`\t\t${saddr} ${item.ip} ${proto} dport { ${dports} } drop comment ${this.quote(this.comment(item))}`);
+            }
+        }
+
+        let final = '';
+        final += `table inet ${table}\n`;
+        final += `delete table inet ${table}\n`;
+        final += `table inet ${table} {\n`;
+
+        for (let v of [4, 6]) {
+            final += `\tset ${set}${v} {\n`;
+            final += `\t\ttype ipv${v}_addr\n`;
+            final += `\t\tflags interval\n`;
+            if (elements[v].length > 0) {
+                final += `\t\telements = {\n`;
+                final += elements[v].join(',\n') + '\n';
+                final += `\t\t}\n`;
+            }
+            final += `\t}\n`;
+        }
+
+        final += `\tchain input {\n`;
+        final += `\t\ttype filter hook input priority ${priority}; policy accept;\n`;
+        final += `\t\tip saddr @${set}4 drop\n`;
+        final += `\t\tip6 saddr @${set}6 drop\n`;
+        for (let rule of rules) {
+            final += rule + '\n';
+        }
+        final += `\t}\n`;
+        final += `}\n`;
+
+        return final;
+    }
+}
+
+module.exports = NftablesExporter;
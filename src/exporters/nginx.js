@@ -0,0 +1,73 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      NginxExporter
+ * @author      Gordon Ansell   <contact@gordonansell.com> 
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const Exporter = require("./exporter");
+
+/**
+ * nginx 'deny' include exporter.
+ * 
+ * nginx only sees HTTP traffic, so port-scoped entries are included only when their
+ * ports group covers one of opts.httpPorts (default 80 and 443).
+ */
+class NginxExporter extends Exporter
+{
+    static format = 'nginx';
+    static defaultFile = 'blocks.nginx.conf';
+
+    /**
+     * Render the list.
+     * 
+     * @return  {string}    Rendered output.
+     */
+    async render()
+    {
+        let final = '';
+
+        for (let item of await this.getItems()) {
+            if (!this.appliesToHttp(item)) {
+                continue;
+            }
+            final += `deny ${item.ip}; # ${this.comment(item)}\n`;
+        }
+
+        return final;
+    }
+
+    /**
+     * See if an entry applies to HTTP traffic.
+     * 
+     * @param   {object}    item    List entry.
+     * @return  {boolean}           True if it does, else false.
+     */
+    appliesToHttp(item)
+    {
+        let ports = this.getPorts(item);
+        if (!ports) {
+            return true;
+        }
+
+        if (ports.proto == 'udp') {
+            return false;
+        }
+
+        let httpPorts = (this.opts.httpPorts || [80, 443]).map(Number);
+        for (let port of ports.ports) {
+            for (let hp of httpPorts) {
+                if (hp >= Number(port.from) && hp <= Number(port.to)) {
+                    return true;
+                }
+            }
+        }
+
+        return false;
+    }
+}
+
+module.exports = NginxExporter;
@@ -0,0 +1,63 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      UfwExporter
+ * @author      Gordon Ansell   <contact@gordonansell.com> 
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const Exporter = require("./exporter");
+
+/**
+ * UFW exporter.
+ * 
+ * Writes a shell script of 'ufw prepend' commands so deny rules sit ahead of any
+ * allow rules.
+ */
+class UfwExporter extends Exporter
+{
+    static format = 'ufw';
+    static defaultFile = 'blocks.ufw.sh';
+
+    /**
+     * Render the list.
+     * 
+     * @return  {string}    Rendered output.
+     */
+    async render()
+    {
+        let final = '#!/bin/sh\n';
+
+        for (let item of await this.getItems()) {
+            let comment = this._shellQuote(this.comment(item));
+            let ports = this.getPorts(item);
+
+            if (!ports) {
+                final += `ufw prepend deny from ${item.ip} to any comment ${comment}\n`;
+                continue;
+            }
+
+            let dports = ports.ports.map(p => this.formatPort(p, ':')).join(',');
+            for (let proto of this.protos(ports.proto)) {
+                final += `ufw prepend deny proto ${proto} from ${item.ip} to any port ${dports} comment ${comment}\n`;
+            }
+        }
+
+        return final;
+    }
+
+    /**
+     * Quote a string for the shell.
+     * 
+     * @param   {string}    str     String to quote.
+     * @return  {string}            Quoted string.
+     */
+    _shellQuote(str)
+    {
+        return "'" + str.replace(/'/g, '') + "'";
+    }
+}
+
+module.exports = UfwExporter;
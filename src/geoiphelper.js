@@ -0,0 +1,113 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      GeoIPHelper
+ * @author      Gordon Ansell   <contact@gordonansell.com>
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const syslog = require("greenhat-util/syslog");
+const maxmind = require("maxmind");
+const fs = require('fs');
+
+/**
+ * Offline country and ASN lookups from MaxMind-format (.mmdb) databases, such as
+ * GeoLite2-Country and GeoLite2-ASN.
+ */
+class GeoIPHelper
+{
+    /**
+     * Constructor.
+     *
+     * @param   {string}    countryDb   Path to the country database (or null).
+     * @param   {string}    asnDb       Path to the ASN database (or null).
+     */
+    constructor(countryDb = null, asnDb = null)
+    {
+        this.countryDb = countryDb;
+        this.asnDb = asnDb;
+        this.readers = {};
+    }
+
+    /**
+     * Open a database once.
+     *
+     * @param   {string}    which   'country' or 'asn'.
+     * @return  {object|null}       Reader or null if not configured or unreadable.
+     */
+    async _reader(which)
+    {
+        if (this.readers[which] !== undefined) {
+            return this.readers[which];
+        }
+
+        let fp = (which == 'country') ? this.countryDb : this.asnDb;
+        this.readers[which] = null;
+
+        if (!fp) {
+            return null;
+        }
+
+        if (!fs.existsSync(fp)) {
+            syslog.error(`GeoIP ${which} database '${fp}' not found.`);
+            return null;
+        }
+
+        try {
+            this.readers[which] = await maxmind.open(fp);
+            syslog.trace('GeoIPHelper:_reader', `Opened GeoIP ${which} database: ${fp}.`);
+        } catch (err) {
+            syslog.error(`Failed to open GeoIP ${which} database '${fp}': ${err.message}`);
+        }
+
+        return this.readers[which];
+    }
+
+    /**
+     * Look up an IP.
+     *
+     * @param   {string}    ip      IP address.
+     * @return  {object}            { country, org, asn }, each null if unknown.
+     */
+    async lookup(ip)
+    {
+        let ret = {
+            country: null,
+            org: null,
+            asn: null,
+        };
+
+        let country = await this._reader('country');
+        if (country) {
+            let rec = country.get(ip);
+            if (rec) {
+                // GeoLite2 nests the code; some free databases keep it flat.
+                let c = rec.country || rec.registered_country;
+                if (c && c.iso_code) {
+                    ret.country = c.iso_code.toUpperCase();
+                } else if (rec.country_code) {
+                    ret.country = rec.country_code.toUpperCase();
+                }
+            }
+        }
+
+        let asn = await this._reader('asn');
+        if (asn) {
+            let rec = asn.get(ip);
+            if (rec) {
+                if (rec.autonomous_system_number) {
+                    ret.asn = rec.autonomous_system_number;
+                }
+                if (rec.autonomous_system_organization) {
+                    ret.org = rec.autonomous_system_organization;
+                }
+            }
+        }
+
+        return ret;
+    }
+}
+
+module.exports = GeoIPHelper;
@@ -0,0 +1,19 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      LogParsers
+ * @author      Gordon Ansell   <contact@gordonansell.com> 
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+/**
+ * Available log parsers, keyed by name.
+ */
+module.exports = {
+    sshd: require("./sshd"),
+    nginx: require("./nginx"),
+    lfd: require("./lfd"),
+    postfix: require("./postfix"),
+};
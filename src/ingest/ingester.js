@@ -0,0 +1,194 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      Ingester
+ * @author      Gordon Ansell   <contact@gordonansell.com>
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const syslog = require("greenhat-util/syslog");
+const fs = require('fs');
+const readline = require('readline');
+const zlib = require('zlib');
+
+/**
+ * Threshold used when no rules are configured for a parser.
+ */
+const DEFAULT_RULE = {
+    count: 5,
+    minutes: 10,
+};
+
+/**
+ * Turns log files into block candidates.
+ *
+ * Offence events are read with a parser and then held against threshold rules from
+ * cfg.ingest.rules. Each rule is:
+ *
+ *  parser:     Parser it applies to (all parsers if not given).
+ *  count:      Offences needed (default 5).
+ *  minutes:    Within this many minutes (default 10).
+ *  match:      Regular expression the offence must match (optional).
+ *  ports:      Ports key (in cfg.ports) to block, rather than everything (optional).
+ *  reason:     Reason to block with (defaults to a description of the rule).
+ *  days:       Days to block for (optional).
+ *
+ * The first rule an address breaks, in config order, is the one it is blocked under.
+ */
+class Ingester
+{
+    /**
+     * Constructor.
+     *
+     * @param   {object}    cfg     Configs.
+     */
+    constructor(cfg)
+    {
+        this.cfg = cfg;
+    }
+
+    /**
+     * Get the rules for a parser.
+     *
+     * @param   {string}    parser  Parser name.
+     * @return  {object[]|null}     Rules, or null if a rule is invalid.
+     */
+    rules(parser)
+    {
+        let configured = (this.cfg.ingest && this.cfg.ingest.rules) ? this.cfg.ingest.rules : [];
+        let ret = [];
+
+        for (let rule of configured) {
+            if (rule.parser && rule.parser != parser) {
+                continue;
+            }
+            rule = Object.assign({}, DEFAULT_RULE, rule);
+            if (rule.ports && (!this.cfg.ports || !this.cfg.ports[rule.ports])) {
+                syslog.error(`Ingest rule uses unknown ports key '${rule.ports}'.`);
+                return null;
+            }
+            if (!rule.reason) {
+                rule.reason = `${parser}: ${rule.count} offences in ${rule.minutes} minutes`;
+            }
+            ret.push(rule);
+        }
+
+        if (ret.length == 0) {
+            ret.push(Object.assign({reason: `${parser}: ${DEFAULT_RULE.count} offences in ${DEFAULT_RULE.minutes} minutes`},
+                DEFAULT_RULE));
+        }
+
+        return ret;
+    }
+
+    /**
+     * Read the offence events from a log file.
+     *
+     * @param   {string}    fp      Log file (may be gzipped).
+     * @param   {LogParser} parser  Parser.
+     * @return  {object[]}          Events.
+     */
+    async read(fp, parser)
+    {
+        let events = [];
+        let lines = 0;
+
+        let input = fs.createReadStream(fp);
+        if (fp.endsWith('.gz')) {
+            input = input.pipe(zlib.createGunzip());
+        }
+
+        let rl = readline.createInterface({
+            input: input,
+            crlfDelay: Infinity,
+        });
+
+        for await (let line of rl) {
+            lines++;
+            let event = parser.parse(line);
+            if (event) {
+                events.push(event);
+            }
+        }
+
+        syslog.notice(`Read ${lines} lines from ${fp}, found ${events.length} offences.`);
+
+        return events;
+    }
+
+    /**
+     * Find the addresses that break a rule.
+     *
+     * @param   {object[]}  events  Events.
+     * @param   {object[]}  rules   Rules.
+     * @return  {object[]}          Candidates as { ip, rule, count, first, last }.
+     */
+    evaluate(events, rules)
+    {
+        let byIp = new Map();
+        for (let event of events) {
+            if (!byIp.has(event.ip)) {
+                byIp.set(event.ip, []);
+            }
+            byIp.get(event.ip).push(event);
+        }
+
+        let ret = [];
+
+        for (let [ip, ipEvents] of byIp) {
+            ipEvents.sort((a, b) => a.dt - b.dt);
+
+            for (let rule of rules) {
+                let matched = ipEvents;
+                if (rule.match) {
+                    let re = new RegExp(rule.match);
+                    matched = ipEvents.filter(e => re.test(e.what));
+                }
+
+                let hit = this._window(matched, rule.count, rule.minutes * 60000);
+                if (hit) {
+                    hit.ip = ip;
+                    hit.rule = rule;
+                    ret.push(hit);
+                    break;
+                }
+            }
+        }
+
+        return ret;
+    }
+
+    /**
+     * Find the busiest window of sorted events.
+     *
+     * @param   {object[]}  events  Events, sorted by time.
+     * @param   {number}    count   Events needed.
+     * @param   {number}    span    Window in milliseconds.
+     * @return  {object|null}       { count, first, last } of the busiest window, or null if under count.
+     */
+    _window(events, count, span)
+    {
+        let best = null;
+        let start = 0;
+
+        for (let end = 0; end < events.length; end++) {
+            while (events[end].dt - events[start].dt > span) {
+                start++;
+            }
+            let n = end - start + 1;
+            if (n >= count && (!best || n > best.count)) {
+                best = {
+                    count: n,
+                    first: events[start].dt,
+                    last: events[end].dt,
+                };
+            }
+        }
+
+        return best;
+    }
+}
+
+module.exports = Ingester;
@@ -0,0 +1,44 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      LfdParser
+ * @author      Gordon Ansell   <contact@gordonansell.com> 
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const LogParser = require("./parser");
+
+/**
+ * CSF's login failure daemon (lfd.log) parser.
+ * 
+ * lfd has already decided these addresses misbehaved, typically with lines like
+ * '(sshd) Failed SSH login from 1.2.3.4 (CN/China/-): 5 in the last 3600 secs'.
+ */
+class LfdParser extends LogParser
+{
+    static parser = 'lfd';
+
+    /**
+     * Parse a line.
+     * 
+     * @param   {string}    line    Log line.
+     * @return  {object|null}       Event as { ip, dt, what } or null.
+     */
+    parse(line)
+    {
+        if (!/\blfd\[\d+\]:/.test(line)) {
+            return null;
+        }
+
+        let m = line.match(/\((\w+)\) (.*?) from ([0-9a-fA-F.:]+)/);
+        if (!m) {
+            return null;
+        }
+
+        return this.event(m[3], this.syslogDate(line), `(${m[1]}) ${m[2]}`);
+    }
+}
+
+module.exports = LfdParser;
@@ -0,0 +1,65 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      NginxParser
+ * @author      Gordon Ansell   <contact@gordonansell.com> 
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const LogParser = require("./parser");
+
+/**
+ * Month numbers by access log abbreviation.
+ */
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * nginx access and error log parser.
+ * 
+ * Access log lines (common or combined format) are offences when the status is one
+ * of opts.statuses. Error log lines are offences when they name a client.
+ * 
+ * Options:
+ *  statuses:   Status codes that count (default 400, 401, 403, 404, 405, 444).
+ */
+class NginxParser extends LogParser
+{
+    static parser = 'nginx';
+
+    /**
+     * Parse a line.
+     * 
+     * @param   {string}    line    Log line.
+     * @return  {object|null}       Event as { ip, dt, what } or null.
+     */
+    parse(line)
+    {
+        let statuses = this.opts.statuses || [400, 401, 403, 404, 405, 444];
+
+        let m = line.match(/^(\S+) \S+ \S+ \[(\d\d)\/(\w{3})\/(\d{4}):(\d\d):(\d\d):(\d\d) ([+-]\d{4})\] "([^"]*)" (\d{3}) /);
+        if (m) {
+            if (!statuses.includes(Number(m[10]))) {
+                return null;
+            }
+            let month = MONTHS.indexOf(m[3]);
+            if (month == -1) {
+                return null;
+            }
+            let iso = `${m[4]}-${String(month + 1).padStart(2, '0')}-${m[2]}T${m[5]}:${m[6]}:${m[7]}` + 
+                `${m[8].substring(0, 3)}:${m[8].substring(3)}`;
+            return this.event(m[1], new Date(iso), `${m[10]} ${m[9]}`);
+        }
+
+        m = line.match(/^(\d{4})\/(\d\d)\/(\d\d) (\d\d:\d\d:\d\d) \[(\w+)\] .*?client: ([0-9a-fA-F.:]+)/);
+        if (m) {
+            let what = line.substring(line.indexOf(']') + 1).trim();
+            return this.event(m[6], new Date(`${m[1]}-${m[2]}-${m[3]}T${m[4]}`), what);
+        }
+
+        return null;
+    }
+}
+
+module.exports = NginxParser;
@@ -0,0 +1,109 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      LogParser
+ * @author      Gordon Ansell   <contact@gordonansell.com> 
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const IPHelper = require("../iphelper");
+
+/**
+ * Month numbers by syslog abbreviation.
+ */
+const MONTHS = {
+    jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+    jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11,
+};
+
+/**
+ * Base class for log parsers.
+ * 
+ * A parser turns one log line into an offence event, or null if the line is not an
+ * offence. Subclasses implement parse().
+ */
+class LogParser
+{
+    /**
+     * Parser name.
+     * @var {string}
+     */
+    static parser = null;
+
+    /**
+     * Constructor.
+     * 
+     * @param   {object}    opts    Parser options (cfg.ingest.parsers[name]).
+     */
+    constructor(opts = {})
+    {
+        this.opts = opts || {};
+        this.now = new Date();
+    }
+
+    /**
+     * Parse a line.
+     * 
+     * @param   {string}    line    Log line.
+     * @return  {object|null}       Event as { ip, dt, what } or null.
+     */
+    parse(line)
+    {
+        throw new Error(`Parser '${this.constructor.parser}' does not implement parse().`);
+    }
+
+    /**
+     * Get the timestamp at the start of a syslog line.
+     * 
+     * Both the traditional 'Mmm dd hh:mm:ss' form (which has no year, so the latest
+     * year not in the future is assumed) and RFC 3339 are understood.
+     * 
+     * @param   {string}    line    Log line.
+     * @return  {Date|null}         Timestamp or null.
+     */
+    syslogDate(line)
+    {
+        let m = line.match(/^(\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d(?:\.\d+)?(?:Z|[+-]\d\d:?\d\d)?)\s/);
+        if (m) {
+            let dt = new Date(m[1]);
+            return (isNaN(dt)) ? null : dt;
+        }
+
+        m = line.match(/^([A-Z][a-z]{2})\s+(\d{1,2})\s+(\d\d):(\d\d):(\d\d)\s/);
+        if (!m || MONTHS[m[1].toLowerCase()] === undefined) {
+            return null;
+        }
+
+        let dt = new Date(this.now.getFullYear(), MONTHS[m[1].toLowerCase()], Number(m[2]), 
+            Number(m[3]), Number(m[4]), Number(m[5]));
+        if (dt > this.now) {
+            dt.setFullYear(dt.getFullYear() - 1);
+        }
+        return dt;
+    }
+
+    /**
+     * Make an event.
+     * 
+     * @param   {string}    ip      IP address.
+     * @param   {Date}      dt      Timestamp.
+     * @param   {string}    what    What happened.
+     * @return  {object|null}       Event or null if the IP or date is no good.
+     */
+    event(ip, dt, what)
+    {
+        if (!dt || !IPHelper.version(ip)) {
+            return null;
+        }
+
+        return {
+            ip: IPHelper.normalise(ip),
+            dt: dt,
+            what: what,
+        };
+    }
+}
+
+module.exports = LogParser;
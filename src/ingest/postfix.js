@@ -0,0 +1,44 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      PostfixParser
+ * @author      Gordon Ansell   <contact@gordonansell.com> 
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const LogParser = require("./parser");
+
+/**
+ * Postfix (mail.log, maillog) parser for SASL failures and rejected clients.
+ */
+class PostfixParser extends LogParser
+{
+    static parser = 'postfix';
+
+    /**
+     * Parse a line.
+     * 
+     * @param   {string}    line    Log line.
+     * @return  {object|null}       Event as { ip, dt, what } or null.
+     */
+    parse(line)
+    {
+        if (!/\bpostfix\/\w+(?:\[\d+\])?:/.test(line)) {
+            return null;
+        }
+
+        let m = line.match(/\[([0-9a-fA-F.:]+)\]: (SASL \S+ authentication failed)/);
+        if (!m) {
+            m = line.match(/reject: \w+ from [^\[]*\[([0-9a-fA-F.:]+)\]: (\d{3} [^;]*)/);
+        }
+        if (!m) {
+            return null;
+        }
+
+        return this.event(m[1], this.syslogDate(line), m[2]);
+    }
+}
+
+module.exports = PostfixParser;
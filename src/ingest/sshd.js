@@ -0,0 +1,55 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      SshdParser
+ * @author      Gordon Ansell   <contact@gordonansell.com> 
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const LogParser = require("./parser");
+
+/**
+ * Failed login lines from OpenSSH's sshd (auth.log, secure).
+ * 
+ * Each attempt counts once, by its 'Failed ...' line. The lines that go with it
+ * ('Invalid user', 'maximum authentication attempts exceeded', 'Connection closed by
+ * ... [preauth]') are left out, as they would count the same attempts again.
+ */
+const PATTERNS = [
+    /Failed (?:password|publickey|none|keyboard-interactive\/pam) for (?:invalid user )?.* from ([0-9a-fA-F.:]+) port \d+/,
+    /Did not receive identification string from ([0-9a-fA-F.:]+)/,
+];
+
+/**
+ * sshd log parser.
+ */
+class SshdParser extends LogParser
+{
+    static parser = 'sshd';
+
+    /**
+     * Parse a line.
+     * 
+     * @param   {string}    line    Log line.
+     * @return  {object|null}       Event as { ip, dt, what } or null.
+     */
+    parse(line)
+    {
+        if (!/\bsshd(?:\[\d+\])?:/.test(line)) {
+            return null;
+        }
+
+        for (let re of PATTERNS) {
+            let m = line.match(re);
+            if (m) {
+                return this.event(m[1], this.syslogDate(line), m[0]);
+            }
+        }
+
+        return null;
+    }
+}
+
+module.exports = SshdParser;
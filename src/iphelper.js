@@ -0,0 +1,475 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      IPHelper
+ * @author      Gordon Ansell   <contact@gordonansell.com>
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+/**
+ * Offset of the IPv4-mapped IPv6 range (::ffff:0:0/96).
+ *
+ * IPv4 addresses are held in this range so that both families share one ordered
+ * decimal space and a single from/to comparison works for either.
+ */
+const V4_OFFSET = 0xffff00000000n;
+
+/**
+ * Largest IPv6 value.
+ */
+const V6_MAX = (1n << 128n) - 1n;
+
+/**
+ * IP address arithmetic for IPv4 and IPv6.
+ */
+class IPHelper
+{
+    /**
+     * See if a string is a valid IPv4 address.
+     *
+     * @param   {string}    ip  Address to test.
+     * @return  {boolean}       True if it is, else false.
+     */
+    static isIPv4(ip)
+    {
+        if (typeof ip !== 'string') {
+            return false;
+        }
+        let sp = ip.split('.');
+        if (sp.length != 4) {
+            return false;
+        }
+        for (let part of sp) {
+            if (!/^\d{1,3}$/.test(part) || Number(part) > 255) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * See if a string is a valid IPv6 address.
+     *
+     * @param   {string}    ip  Address to test.
+     * @return  {boolean}       True if it is, else false.
+     */
+    static isIPv6(ip)
+    {
+        return IPHelper._parseV6(ip) !== null;
+    }
+
+    /**
+     * Get the IP version of an address or CIDR.
+     *
+     * @param   {string}    ip  Address or CIDR.
+     * @return  {number}        4, 6 or 0 if invalid.
+     */
+    static version(ip)
+    {
+        if (typeof ip !== 'string') {
+            return 0;
+        }
+        let addr = ip.split('/')[0];
+        if (IPHelper.isIPv4(addr)) {
+            return 4;
+        } else if (IPHelper.isIPv6(addr)) {
+            return 6;
+        }
+        return 0;
+    }
+
+    /**
+     * See if an address or CIDR is valid.
+     *
+     * @param   {string}    ip  Address or CIDR.
+     * @return  {boolean}       True if it is, else false.
+     */
+    static isValid(ip)
+    {
+        let v = IPHelper.version(ip);
+        if (v == 0) {
+            return false;
+        }
+        if (ip.indexOf('/') != -1) {
+            let prefix = ip.substring(ip.indexOf('/') + 1);
+            if (!/^\d{1,3}$/.test(prefix) || Number(prefix) > IPHelper.maxPrefix(v)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Parse a start to end range written 'a-b' (spaces allowed).
+     *
+     * @param   {string}    str     Range.
+     * @return  {object|null}       { from, to, version }, or null if not a valid range.
+     */
+    static parseRange(str)
+    {
+        if (typeof str !== 'string' || str.indexOf('-') == -1) {
+            return null;
+        }
+        let sp = str.split('-').map(part => part.trim());
+        if (sp.length != 2) {
+            return null;
+        }
+        let version = IPHelper.version(sp[0]);
+        if (version == 0 || sp[0].indexOf('/') != -1 || sp[1].indexOf('/') != -1 || 
+            version != IPHelper.version(sp[1])) {
+            return null;
+        }
+        return {
+            from: IPHelper.normalise(sp[0]),
+            to: IPHelper.normalise(sp[1]),
+            version: version,
+        };
+    }
+
+    /**
+     * Get the maximum prefix size for an IP version.
+     *
+     * @param   {number}    version     4 or 6.
+     * @return  {number}                32 or 128.
+     */
+    static maxPrefix(version)
+    {
+        return (version == 4) ? 32 : 128;
+    }
+
+    /**
+     * Convert an address to its decimal value.
+     *
+     * @param   {string}    ip  IP address (no prefix).
+     * @return  {bigint}        Decimal value, or null if invalid.
+     */
+    static toDec(ip)
+    {
+        if (IPHelper.isIPv4(ip)) {
+            let val = 0n;
+            for (let part of ip.split('.')) {
+                val = (val << 8n) + BigInt(part);
+            }
+            return V4_OFFSET + val;
+        }
+
+        let groups = IPHelper._parseV6(ip);
+        if (groups === null) {
+            return null;
+        }
+        let val = 0n;
+        for (let g of groups) {
+            val = (val << 16n) + BigInt(g);
+        }
+        return val;
+    }
+
+    /**
+     * Convert a decimal value back to an address string.
+     *
+     * @param   {bigint}    dec         Decimal value.
+     * @param   {number}    version     IP version to format as.
+     * @return  {string}                Address.
+     */
+    static fromDec(dec, version)
+    {
+        dec = BigInt(dec);
+        if (version == 4) {
+            let v = dec - V4_OFFSET;
+            let parts = [];
+            for (let i = 3; i >= 0; i--) {
+                parts.push(Number((v >> BigInt(i * 8)) & 0xffn));
+            }
+            return parts.join('.');
+        }
+
+        let groups = [];
+        for (let i = 7; i >= 0; i--) {
+            groups.push(Number((dec >> BigInt(i * 16)) & 0xffffn));
+        }
+
+        // IPv4-mapped addresses keep their dotted tail (RFC 5952, section 5).
+        if (groups.slice(0, 5).every(g => g == 0) && groups[5] == 0xffff) {
+            return '::ffff:' + IPHelper.fromDec(dec, 4);
+        }
+
+        return IPHelper._compressV6(groups);
+    }
+
+    /**
+     * Normalise an address or CIDR.
+     *
+     * IPv6 is lowercased and compressed so the same address always compares equal
+     * as a string. IPv4 is returned as given.
+     *
+     * @param   {string}    ip  Address or CIDR.
+     * @return  {string}        Normalised form.
+     */
+    static normalise(ip)
+    {
+        if (IPHelper.version(ip) != 6) {
+            return ip;
+        }
+        let sp = ip.split('/');
+        let ret = IPHelper.fromDec(IPHelper.toDec(sp[0]), 6);
+        if (sp.length > 1) {
+            ret += '/' + sp[1];
+        }
+        return ret;
+    }
+
+    /**
+     * Calculate the range of an address or CIDR.
+     *
+     * The return mirrors the shape ip-subnet-calculator used to give us.
+     *
+     * @param   {string}    ip  Address or CIDR.
+     * @return  {object}        Range details, or null if invalid.
+     */
+    static subnet(ip)
+    {
+        if (!IPHelper.isValid(ip)) {
+            return null;
+        }
+
+        let version = IPHelper.version(ip);
+        let max = IPHelper.maxPrefix(version);
+        let sp = ip.split('/');
+        let prefix = (sp.length > 1) ? Number(sp[1]) : max;
+
+        let dec = IPHelper.toDec(sp[0]);
+        let hostBits = BigInt(max - prefix);
+        let size = 1n << hostBits;
+        let low = (dec >> hostBits) << hostBits;
+        let high = low + size - 1n;
+
+        return {
+            version: version,
+            prefixSize: prefix,
+            ipLow: low,
+            ipHigh: high,
+            ipLowStr: IPHelper.fromDec(low, version),
+            ipHighStr: IPHelper.fromDec(high, version),
+        };
+    }
+
+    /**
+     * Convert an arbitrary start to end range into the smallest set of CIDRs.
+     *
+     * @param   {string}    from    First address.
+     * @param   {string}    to      Last address.
+     * @return  {object[]}          Array of subnets as returned by subnet(), or null if invalid.
+     */
+    static rangeToCidrs(from, to)
+    {
+        let version = IPHelper.version(from);
+        if (version == 0 || version != IPHelper.version(to)) {
+            return null;
+        }
+
+        let low = IPHelper.toDec(from);
+        let high = IPHelper.toDec(to);
+        if (low > high) {
+            [low, high] = [high, low];
+        }
+
+        return IPHelper.decRangeToCidrs(low, high, version);
+    }
+
+    /**
+     * Convert a decimal range into the smallest set of CIDRs.
+     *
+     * @param   {bigint}    low         First value.
+     * @param   {bigint}    high        Last value.
+     * @param   {number}    version     IP version.
+     * @return  {object[]}              Array of subnets as returned by subnet().
+     */
+    static decRangeToCidrs(low, high, version)
+    {
+        let max = IPHelper.maxPrefix(version);
+        let base = (version == 4) ? V4_OFFSET : 0n;
+        let ret = [];
+
+        let cur = BigInt(low) - base;
+        let end = BigInt(high) - base;
+
+        while (cur <= end) {
+            let bits = 0;
+            while (bits < max) {
+                let size = 1n << BigInt(bits + 1);
+                if ((cur % size) != 0n || cur + size - 1n > end) {
+                    break;
+                }
+                bits++;
+            }
+            let net = IPHelper.fromDec(cur + base, version) + '/' + (max - bits);
+            ret.push(IPHelper.subnet(net));
+            cur += 1n << BigInt(bits);
+        }
+
+        return ret;
+    }
+
+    /**
+     * Aggregate decimal ranges into the minimal set of CIDRs covering the same addresses.
+     *
+     * Overlapping and adjacent ranges are merged first. All ranges must be of one version.
+     *
+     * @param   {array[]}   ranges      Array of [low, high] decimal pairs.
+     * @param   {number}    version     IP version.
+     * @return  {object[]}              Array of subnets as returned by subnet().
+     */
+    static aggregate(ranges, version)
+    {
+        let sorted = ranges.map(r => [BigInt(r[0]), BigInt(r[1])]).sort((a, b) => IPHelper.compare(a[0], b[0]));
+
+        let merged = [];
+        for (let r of sorted) {
+            let last = merged[merged.length - 1];
+            if (last && r[0] <= last[1] + 1n) {
+                if (r[1] > last[1]) {
+                    last[1] = r[1];
+                }
+            } else {
+                merged.push(r);
+            }
+        }
+
+        let ret = [];
+        for (let r of merged) {
+            ret.push(...IPHelper.decRangeToCidrs(r[0], r[1], version));
+        }
+        return ret;
+    }
+
+    /**
+     * Compare two decimal values, for use in sorts.
+     *
+     * @param   {bigint}    a   First value.
+     * @param   {bigint}    b   Second value.
+     * @return  {number}        -1, 0 or 1.
+     */
+    static compare(a, b)
+    {
+        if (a < b) {
+            return -1;
+        } else if (a > b) {
+            return 1;
+        }
+        return 0;
+    }
+
+    /**
+     * Parse an IPv6 address into its eight 16-bit groups.
+     *
+     * @param   {string}    ip  Address.
+     * @return  {number[]}      Groups, or null if invalid.
+     */
+    static _parseV6(ip)
+    {
+        if (typeof ip !== 'string' || ip.indexOf(':') == -1) {
+            return null;
+        }
+
+        // Drop any zone index.
+        if (ip.indexOf('%') != -1) {
+            ip = ip.substring(0, ip.indexOf('%'));
+        }
+
+        // A trailing dotted quad is rewritten as two hex groups.
+        let lastColon = ip.lastIndexOf(':');
+        let last = ip.substring(lastColon + 1);
+        if (last.indexOf('.') != -1) {
+            if (!IPHelper.isIPv4(last)) {
+                return null;
+            }
+            let sp = last.split('.').map(Number);
+            ip = ip.substring(0, lastColon + 1) + ((sp[0] << 8) + sp[1]).toString(16) + ':' + 
+                ((sp[2] << 8) + sp[3]).toString(16);
+        }
+
+        let halves = ip.split('::');
+        if (halves.length > 2) {
+            return null;
+        }
+
+        let parseHalf = (str) => {
+            if (str == '') {
+                return [];
+            }
+            let ret = [];
+            for (let g of str.split(':')) {
+                if (!/^[0-9a-fA-F]{1,4}$/.test(g)) {
+                    return null;
+                }
+                ret.push(parseInt(g, 16));
+            }
+            return ret;
+        };
+
+        let head = parseHalf(halves[0]);
+        if (head === null) {
+            return null;
+        }
+
+        let groups = null;
+        let wanted = 8;
+
+        if (halves.length == 2) {
+            let rest = parseHalf(halves[1]);
+            if (rest === null || head.length + rest.length >= wanted) {
+                return null;
+            }
+            groups = head.concat(Array(wanted - head.length - rest.length).fill(0), rest);
+        } else {
+            if (head.length != wanted) {
+                return null;
+            }
+            groups = head;
+        }
+
+        return groups;
+    }
+
+    /**
+     * Compress IPv6 groups to their shortest text form (RFC 5952).
+     *
+     * @param   {number[]}  groups  Eight 16-bit groups.
+     * @return  {string}            Address.
+     */
+    static _compressV6(groups)
+    {
+        let bestStart = -1;
+        let bestLen = 0;
+        let curStart = -1;
+
+        for (let i = 0; i <= groups.length; i++) {
+            if (i < groups.length && groups[i] == 0) {
+                if (curStart == -1) {
+                    curStart = i;
+                }
+            } else if (curStart != -1) {
+                if (i - curStart > bestLen) {
+                    bestStart = curStart;
+                    bestLen = i - curStart;
+                }
+                curStart = -1;
+            }
+        }
+
+        let hex = groups.map(g => g.toString(16));
+
+        if (bestLen < 2) {
+            return hex.join(':');
+        }
+
+        return hex.slice(0, bestStart).join(':') + '::' + hex.slice(bestStart + bestLen).join(':');
+    }
+}
+
+IPHelper.V4_OFFSET = V4_OFFSET;
+IPHelper.V6_MAX = V6_MAX;
+
+module.exports = IPHelper;
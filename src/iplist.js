@@ -10,6 +10,10 @@
 
 const syslog = require("greenhat-util/syslog");
 const WhoIsHelper = require("./whoishelper");
+const IPHelper = require("./iphelper");
+const RangeIndex = require("./rangeindex");
+const ListSchema = require("./listschema");
+const storages = require("./storage");
 const fs = require('fs');
 const path = require('path');
 const { SSL_OP_DONT_INSERT_EMPTY_FRAGMENTS } = require("constants");
@@ -32,6 +36,66 @@ class IPList
      */
     who = null;
 
+    /**
+     * Range index over the items.
+     * @var {RangeIndex}
+     */
+    index = null;
+
+    /**
+     * Do entries in this list expire?
+     * @var {boolean}
+     */
+    expires = true;
+
+    /**
+     * Is it normal for the file not to exist yet (so it reads as empty)?
+     * @var {boolean}
+     */
+    optional = false;
+
+    /**
+     * Journal of changes (optional).
+     * @var {Journal}
+     */
+    journal = null;
+
+    /**
+     * Snapshots taken before writing (optional).
+     * @var {Snapshots}
+     */
+    snapshots = null;
+
+    /**
+     * Has a snapshot been taken in this run?
+     * @var {boolean}
+     */
+    snapshotTaken = false;
+
+    /**
+     * Why the file could not be read, if it could not.
+     * @var {string|null}
+     */
+    corrupt = null;
+
+    /**
+     * Journal entries for changes not yet written.
+     * @var {object[]}
+     */
+    unjournalled = [];
+
+    /**
+     * Storage adapter.
+     * @var {Storage}
+     */
+    storage = null;
+
+    /**
+     * Changes since the last write, as { all, upserts, deletes }.
+     * @var {object}
+     */
+    changes = null;
+
     /**
      * Constructor.
      * 
@@ -51,7 +115,10 @@ class IPList
         this.writeWorking = writeWorking;
         this.io = io;
 
-        this.who = new WhoIsHelper();
+        this.who = new WhoIsHelper(this.cfg);
+        this.index = new RangeIndex();
+        this.storage = this._storageFor(this.filePath);
+        this._resetChanges();
 
     }
 
@@ -61,10 +128,22 @@ class IPList
     clear()
     {
         this.items = [];
+        this.index.clear();
+    }
+
+    /**
+     * Rebuild the range index after the items have been replaced wholesale.
+     */
+    reindex()
+    {
+        this.index.build(this.items);
     }
 
     /**
      * Read the file.
+     * 
+     * A file that cannot be read leaves the list empty and marked corrupt, and a
+     * corrupt list is never written, so a bad file is not replaced by an empty one.
      */
     async read()
     {
@@ -73,31 +152,121 @@ class IPList
         }
 
         this.items = [];
+        this.corrupt = null;
+        this._resetChanges();
+        this.unjournalled = [];
 
         try {
-            if (fs.existsSync(this.filePath)) {
-                let raw = fs.readFileSync(this.filePath);
-                let parsed = JSON.parse(raw);
+            if (this.storage.exists()) {
+                this.items = await this.loadFile(this.filePath);
                 syslog.trace('IPList:read', `Successfully read IP list from: ${this.filePath}.`)
-
-                if (this.readWorking) {
-                    this.items = parsed;
-                } else {
-                    for (let item of parsed) {
-                        this.items.push(await this._addWorking(item))
-                    }
-                }
+            } else if (this.optional) {
+                syslog.trace('IPList:read', `No IP list at ${this.filePath} yet, so it is empty.`)
             } else {
                 syslog.error(`Failed to read IP list from '${this.filePath}':  File does not exist.`);
             }
         } catch (err) {
+            this.items = [];
+            this.corrupt = err.message;
             syslog.error(`Failed to read IP list from '${this.filePath}':  ${err.message}`);
         }
 
+        this.reindex();
+
+    }
+
+    /**
+     * Load the raw entries from a list file, migrating them to the current schema.
+     * 
+     * @param   {string}    fp      File path.
+     * @return  {object[]}          Raw entries.
+     * @throws  {Error}             If the file cannot be read, parsed or migrated.
+     */
+    async loadRaw(fp)
+    {
+        if (fp == this.filePath) {
+            return await this.storage.load();
+        }
+
+        let storage = this._storageFor(fp);
+        try {
+            return await storage.load();
+        } finally {
+            storage.close();
+        }
+    }
+
+    /**
+     * Load the items from a list file (or a snapshot of one).
+     * 
+     * @param   {string}    fp      File path.
+     * @return  {object[]}          Items with working data.
+     * @throws  {Error}             If the file cannot be read or parsed, or has unusable entries.
+     */
+    async loadFile(fp)
+    {
+        let ret = [];
+        let parsed = await this.loadRaw(fp);
+
+        for (let num = 0; num < parsed.length; num++) {
+            let item = parsed[num];
+            if (!item || typeof item.ip !== 'string' || !this.isValid(item.ip)) {
+                throw new Error(`Entry ${num} has a malformed IP address (run 'validate' for details).`);
+            }
+            if (this.readWorking) {
+                ret.push(await this._reviveWorking(item));
+            } else {
+                ret.push(await this._addWorking(item));
+            }
+        }
+
+        return ret;
+    }
+
+    /**
+     * Replace every item, journalling the differences.
+     * 
+     * Entries are compared whole, so a changed entry shows as removed and re-added.
+     * 
+     * @param   {object[]}  items   New items with working data.
+     * @param   {string}    action  Journal action.
+     * @param   {string}    reason  Journal reason.
+     * @return  {object}            Counts as { added, removed }.
+     */
+    async replace(items, action, reason = null)
+    {
+        let key = item => JSON.stringify(this._removeWorking(Object.assign({}, item)));
+
+        let oldKeys = new Set(this.items.map(key));
+        let newKeys = new Set(items.map(key));
+
+        let removed = this.items.filter(item => !newKeys.has(key(item)));
+        let added = items.filter(item => !oldKeys.has(key(item)));
+
+        for (let item of removed) {
+            this._record(action, item, null, reason);
+        }
+        for (let item of added) {
+            this._record(action, null, item, reason);
+        }
+
+        this.items = items;
+        this.corrupt = null;
+        this.changes.all = true;
+        this.reindex();
+
+        return {
+            added: added.length,
+            removed: removed.length,
+        };
     }
 
     /**
      * Write the file.
+     * 
+     * The first write in a run snapshots the file as it was, so the run can be undone.
+     * 
+     * @throws  {Error}     If that snapshot cannot be taken, in which case nothing is written.
      */
     async write()
     {
@@ -105,22 +274,145 @@ class IPList
             return;
         }
 
-        try {
-            if (this.writeWorking) {
-                fs.writeFileSync(this.filePath, JSON.stringify(this.items));
-            } else {
-                let toWrite = [];
-                for (let item of this.items) {
-                    toWrite.push(this._removeWorking(item));
+        if (this.corrupt) {
+            syslog.error(`Not writing the '${this.name}' list as it could not be read: ${this.corrupt}`);
+            return;
+        }
+
+        if (this.snapshots && !this.snapshotTaken) {
+            if (this.storage.exists()) {
+                try {
+                    await this.snapshots.take(this.filePath, dest => this.storage.copyTo(dest));
+                } catch (err) {
+                    throw new Error(`Not writing the '${this.name}' list as it could not be snapshotted first: ${err.message}`);
                 }
-                fs.writeFileSync(this.filePath, JSON.stringify(toWrite));
             }
-            syslog.trace('IPList:read', `Successfully wrote IP list to: ${this.filePath}.`)
+            this.snapshotTaken = true;
+        }
+
+        try {
+            await this.storage.save(this.items, this.changes);
+            this._resetChanges();
+            if (this.journal) {
+                this.journal.append(this.unjournalled);
+            }
+            this.unjournalled = [];
+            syslog.trace('IPList:write', `Successfully wrote IP list to: ${this.filePath}.`)
         } catch (err) {
             syslog.error(`Failed to write IP list to '${this.filePath}':  ${err.message}`);
         }
     }
 
+    /**
+     * Get a storage adapter for a file, of the configured type.
+     * 
+     * @param   {string}    fp      File path.
+     * @return  {Storage}           Storage adapter.
+     */
+    _storageFor(fp)
+    {
+        let type = IPList.storageType(this.cfg);
+        return new storages[type](fp, {writeWorking: this.writeWorking});
+    }
+
+    /**
+     * Get the configured storage type.
+     * 
+     * @param   {object}    cfg     Configs.
+     * @return  {string}            Storage type.
+     */
+    static storageType(cfg)
+    {
+        let type = (cfg.storage && cfg.storage.type) ? cfg.storage.type : 'json';
+        if (!storages[type]) {
+            syslog.warning(`Unknown storage type '${type}', using 'json'.`);
+            type = 'json';
+        }
+        return type;
+    }
+
+    /**
+     * Note that an entry was added or changed.
+     * 
+     * @param   {object}    item    Entry.
+     */
+    _changed(item)
+    {
+        this.changes.deletes.delete(item);
+        this.changes.upserts.add(item);
+    }
+
+    /**
+     * Note that an entry was deleted.
+     * 
+     * @param   {object}    item    Entry.
+     */
+    _deleted(item)
+    {
+        this.changes.upserts.delete(item);
+        this.changes.deletes.add(item);
+    }
+
+    /**
+     * Forget the changes, as they have been written.
+     */
+    _resetChanges()
+    {
+        this.changes = {
+            all: false,
+            upserts: new Set(),
+            deletes: new Set(),
+        };
+    }
+
+    /**
+     * Check the file for problems.
+     * 
+     * @return  {object[]|null}     Problems (see ListSchema.check()), or null if the file is unreadable.
+     */
+    async validate()
+    {
+        if (!this.storage.exists()) {
+            return [];
+        }
+
+        let raw = null;
+        try {
+            raw = await this.loadRaw(this.filePath);
+        } catch (err) {
+            syslog.error(`The '${this.name}' list file '${this.filePath}' is unreadable: ${err.message}`);
+            return null;
+        }
+
+        return ListSchema.check(raw, this.cfg);
+    }
+
+    /**
+     * Fix what can be fixed automatically and write the file.
+     * 
+     * @return  {object|null}   Result (see ListSchema.repair()), or null if the file is unreadable.
+     */
+    async repair()
+    {
+        let problems = await this.validate();
+        if (problems === null) {
+            return null;
+        }
+
+        let result = ListSchema.repair(await this.loadRaw(this.filePath), problems);
+
+        if (result.fixed.length > 0 || result.dropped.length > 0) {
+            let items = [];
+            for (let item of result.items) {
+                items.push((this.readWorking) ? await this._reviveWorking(item) : await this._addWorking(item));
+            }
+            await this.replace(items, 'repair', 'Repaired');
+            await this.write();
+        }
+
+        return result;
+    }
+
     /**
      * See if an IP is a CIDR.
      * 
@@ -135,50 +427,103 @@ class IPList
         return true;
     }
 
+    /**
+     * See if an IP or CIDR is valid.
+     * 
+     * @param   {string}    ip  IP address to test.
+     * @return  {boolean}       True if it is, else false. 
+     */
+    isValid(ip)
+    {
+        return IPHelper.isValid(ip);
+    }
+
     /**
      * Check for an existing match for this record.
      * 
      * @param   {object}    item    Item to check.
+     * @param   {boolean}   quiet   Don't say why?
      * @return  {boolean}           True if it's already blocked, else false.
      */
-    async isAlreadyPresent(item)
+    async isAlreadyPresent(item, quiet = false)
     {
-        let count = 0;
-        for (let entry of this.items) {
-
-            if (entry.status) {
-                syslog.notice('status exit')
+        // Exact matches first, as they get the ports check.
+        for (let entry of this.index.exact(item.working.fromDec, item.working.toDec)) {
+            if (entry.status || item.ip != entry.ip) {
                 continue;
             }
-
-            // Simple match.
-            if (item.ip == entry.ip) {
-                //syslog.notice(item.ip + ' : ' + entry.ip + ' : ' + item.ports + ' : ' + entry.ports)
-                if ((!item.ports && !entry.ports) || (item.ports == entry.ports) || (item.ports && !entry.ports)) {
-                    let msg = `IP is already listed in the '${this.name}' list via ${entry.ip}`;
-                    if (entry.ports) {
-                        msg += `, ports: ${entry.ports}`;
-                    }
-                    msg += ` (index ${count}, ${entry.dtAdded}).`;
-                    syslog.warning(msg);
-                    return true;
+            if ((!item.ports && !entry.ports) || (item.ports == entry.ports) || (item.ports && !entry.ports)) {
+                let msg = `IP is already listed in the '${this.name}' list via ${entry.ip}`;
+                if (entry.ports) {
+                    msg += `, ports: ${entry.ports}`;
                 }
-            } else { 
-                //syslog.notice(`${entry.ip}: ${item.working.fromDec} >= ${entry.working.fromDec} && ${item.working.toDec} <= ${entry.working.toDec}`);
-                if (item.working.fromDec >= entry.working.fromDec && item.working.toDec <= entry.working.toDec) {
-                    let msg = `IP ${item.ip} is already covered in the '${this.name}' list via ${entry.ip} (index ${count}, ${entry.dtAdded})`;
+                msg += ` (${entry.dtAdded}).`;
+                if (!quiet) {
                     syslog.warning(msg);
-                    return true;
                 }
-
+                return true;
             }
+        }
 
-            count++;
+        for (let entry of this.index.covering(item.working.fromDec, item.working.toDec)) {
+            if (entry.status || item.ip == entry.ip) {
+                continue;
+            }
+            let msg = `IP ${item.ip} is already covered in the '${this.name}' list via ${entry.ip} (${entry.dtAdded})`;
+            if (!quiet) {
+                syslog.warning(msg);
+            }
+            return true;
         }
 
         return false;
     }
 
+    /**
+     * See if an IP or CIDR is already covered by the list.
+     * 
+     * @param   {string}    ip      IP address or CIDR.
+     * @param   {string}    ports   Ports identifier.
+     * @return  {boolean}           True if it is, else false.
+     */
+    async isCovered(ip, ports = null)
+    {
+        let item = {
+            ip: IPHelper.normalise(ip),
+        };
+        if (ports) {
+            item.ports = ports;
+        }
+        return await this.isAlreadyPresent(await this._addWorking(item), true);
+    }
+
+    /**
+     * Find active entries that overlap an IP or CIDR.
+     * 
+     * An overlap is any entry that covers, is covered by or partially intersects the
+     * range of the IP given.
+     * 
+     * @param   {string}    ip      IP address or CIDR.
+     * @return  {object[]}          Overlapping entries.
+     */
+    async findOverlaps(ip)
+    {
+        let ret = [];
+
+        let sm = await this.who.subnetMask(IPHelper.normalise(ip));
+        if (!sm) {
+            return ret;
+        }
+
+        for (let entry of this.index.overlapping(sm.ipLow, sm.ipHigh)) {
+            if (!entry.status) {
+                ret.push(entry);
+            }
+        }
+
+        return ret;
+    }
+
     /**
      * Check for redundancies.
      * 
@@ -186,14 +531,12 @@ class IPList
      */
     async checkRedundancies(item)
     {
-        let count = 0;
-
-        let filtered = [];
+        let redundant = [];
 
-        for (let entry of this.items) {
+        for (let entry of this.index.within(item.working.fromDec, item.working.toDec)) {
 
             if (entry.status) {
-                filtered.push(entry);
+                continue;
             }
 
             // Simple match.
@@ -202,216 +545,520 @@ class IPList
                     let msg = `Entry redundant via greater scope of ports on new entry ` + 
                         `[${entry.ip} (${entry.ports}) ${entry.dtAdded}]`;
                     syslog.warning(msg);
+                    redundant.push(entry);
                 }
-            } else if (item.working.fromDec <= entry.working.fromDec && item.working.toDec >= entry.working.toDec) {
-                if (item.ports == null || item.ports == entry.ports) {
-                    let msg = `Entry redundant via greater scope of range on new entry ` + 
-                        `[${entry.ip} ${entry.dtAdded}]`;
-                    syslog.warning(msg);
-                } else {
-                    filtered.push(entry);
-                }
-            } else {
-                filtered.push(entry);
+            } else if (item.ports == null || item.ports == entry.ports) {
+                let msg = `Entry redundant via greater scope of range on new entry ` + 
+                    `[${entry.ip} ${entry.dtAdded}]`;
+                syslog.warning(msg);
+                redundant.push(entry);
             }
 
-            count++;
-
         }
 
-        this.items = filtered;
+        if (redundant.length > 0) {
+            for (let entry of redundant) {
+                this.index.remove(entry);
+                this._deleted(entry);
+                this._record('redundant', entry, null, `Redundant via ${item.ip}`);
+            }
+            this.items = this.items.filter(entry => !redundant.includes(entry));
+        }
 
     }
 
     /**
      * Find an IP.
      * 
+     * A valid IP, CIDR or 'from-to' range finds every entry overlapping it, including
+     * CIDRs that cover it. Anything else is treated as a mask matched against the start of each entry.
+     * 
      * @param {string}  ip      IP to find.
      */
     async findIp(ip)
     {
-        let count = 0;
+        this.print(this.find(ip));
+    }
 
-        console.log('-'.repeat(30));
+    /**
+     * Get the entries matching an IP.
+     * 
+     * @param   {string}    ip      IP, CIDR, 'from-to' range or mask (as for findIp).
+     * @return  {object[]}          Entries.
+     */
+    find(ip)
+    {
+        let range = IPHelper.parseRange(ip);
+        if (range) {
+            return this.index.overlapping(IPHelper.toDec(range.from), IPHelper.toDec(range.to)).sort(RangeIndex.compare);
+        } else if (this.isValid(ip)) {
+            let sm = IPHelper.subnet(IPHelper.normalise(ip));
+            return this.index.overlapping(sm.ipLow, sm.ipHigh).sort(RangeIndex.compare);
+        } else {
+            return this.index.sorted().filter(item => item.ip.startsWith(ip));
+        }
+    }
+
+    /**
+     * Find a country.
+     * 
+     * @param {string}  c       Country to find.
+     */
+    async findCountry(c)
+    {
+        this.print(this.inCountry(c));
+    }
+
+    /**
+     * Get the entries for a country.
+     * 
+     * @param   {string}    c       Country code.
+     * @return  {object[]}          Entries.
+     */
+    inCountry(c)
+    {
+        return this.items.filter(item => item.country == c);
+    }
+
+    /**
+     * Check expired records.
+     * 
+     * @param   {object}    item    Item (with working data) to find an expired record for.
+     * @return  {object|null}       Expired record if found, else null.
+     */
+    async checkExpired(item)
+    {
+        for (let entry of this.index.exact(item.working.fromDec, item.working.toDec)) {
+            if (entry.status && (entry.status == 1) && (item.ip == entry.ip)) {
+                if ((item.ports && entry.ports && item.ports == entry.ports) || (!item.ports && !entry.ports)) {
+                    return entry;
+                }
+            } 
+        }
+
+        return null;
+    }
+
+    /**
+     * Add an IP address.
+     * 
+     * @param   {string}    ip      IP address.
+     * @param   {string}    ports   Ports identifier.
+     * @param   {object}    extra   Extra data.
+     * @param   {boolean}   imp     Is this an import?
+     * @return  {object|null}       Entry added (or restored), or null if nothing was added.
+     */
+    async add(ip, ports = null, extra = null, imp = false)
+    {
+        if (!this.isValid(ip)) {
+            syslog.error(`'${ip}' is not a valid IP address or CIDR.`);
+            return null;
+        }
+        ip = IPHelper.normalise(ip);
+
+        if (!extra) {
+            extra = {};
+        }
+
+        let item = {
+            id: ListSchema.newId(),
+            ip: ip,
+        }
+
+        if (extra.dtAdded) {
+            item.dtAdded = extra.dtAdded;
+            delete extra.dtAdded;
+        } else {
+            item.dtAdded = new Date().toISOString();
+        }
+
+        let escalate = (extra.escalate !== false);
+        delete extra.escalate;
+
+        if (ports != null) {
+            item.ports = ports;
+        }
+
+        let pReason = -1;
+        if (item.ports) {
+            if (!this.cfg.ports[item.ports]) {
+                syslog.error(`No ports definition found for '${item.ports}'.`);
+                return null;
+            } else if (this.cfg.ports[item.ports].reason) {
+                pReason = this.cfg.ports[item.ports].reason;
+            }
+        }
+
+        if (pReason != -1 && !extra.reason) {
+            if (!this.cfg.reasons[pReason])  {
+                syslog.error(`No reason with index ${pReason} (reason derived from ports).`);
+                return null;
+            } else {
+                extra.reason = this.cfg.reasons[pReason];
+            }
+        }
+
+        if (extra) {
+            for (let k of Object.keys(extra)) {
+                if (extra[k] && extra[k] != null) {
+                    item[k] = extra[k];
+                }
+            }
+
+        }
+
+        item = await this._addWorking(item);
+
+        if (await this.isAlreadyPresent(item)) {
+            return null;
+        }
+        // Group members (AS and country sets, split ranges) are removed as a whole later,
+        // so the narrower entries they cover must still be there when that happens.
+        if (!item.group) {
+            await this.checkRedundancies(item);
+        }
+
+        if (escalate) {
+            await this.escalate(item);
+        }
+
+        let expired = await this.checkExpired(item);
+
+        if (!expired) {
+            this.items.push(item); 
+            this.index.add(item);
+            this._changed(item);
+            this._record('add', null, item, item.reason);
+            syslog.notice(`Added ${ip} to the '${this.name}' list.`);
+        } else {
+            let suff = `Expired record created on ${expired.dtAdded} and expired on ${expired.dtExpired}.`
+            let before = Object.assign({}, expired);
+            delete expired.status;
+            delete expired.dtExpired;
+            delete expired.days;
+            for (let key in item) {
+                if (key != 'working' && key != 'id') {
+                    expired[key] = item[key];
+                }
+            }
+            this._changed(expired);
+            this._record('restore', before, expired, item.reason);
+            syslog.notice(`Restored ${ip} to the '${this.name}' list from expired record. (${suff})`);    
+        }
+
+        if (!imp) {
+            await this.write();
+        }
+
+        return (expired) ? expired : item;
+    }
+
+    /**
+     * Remove an IP address.
+     * 
+     * @param   {string}    ip      IP address.
+     * @param   {string}    ports   Ports identifier.
+     * @param   {boolean}   imp     Part of a bulk change (caller writes)?
+     * @return  {object|null}       Entry removed, or null if not found.
+     */
+    async remove(ip, ports = null, imp = false) 
+    {
+        ip = IPHelper.normalise(ip);
+
+        let found = null;
+
+        let sm = IPHelper.subnet(ip);
+        if (sm) {
+            for (let item of this.index.exact(sm.ipLow, sm.ipHigh)) {
+                if (item.status || item.ip != ip) {
+                    continue;
+                }
+                if ((!ports && !item.ports) || (item.ports && ports == item.ports)) {
+                    found = item;
+                    break;
+                }
+            }
+        }
+
+        if (found) {
+            this.index.remove(found);
+            this.items = this.items.filter(item => item !== found);
+            this._deleted(found);
+            this._record('remove', found, null);
+            if (!imp) {
+                await this.write();
+            }
+            let msg = `Removed ${ip} from the '${this.name}' list.`;
+            if (found.group) {
+                msg += ` It was part of group ${found.group}; use 'unblock -g ${found.group}' to remove the rest.`;
+            }
+            syslog.notice(msg);
+        } else {
+            syslog.warning(`${ip} not found in the '${this.name}' list.`);
+        }
+
+        return found;
+    }
+
+    /**
+     * Remove every active entry in a group.
+     * 
+     * @param   {string}    group   Group ID.
+     * @param   {boolean}   imp     Part of a bulk change (caller writes)?
+     * @return  {number}            Number of entries removed.
+     */
+    async removeGroup(group, imp = false)
+    {
+        let found = this.items.filter(item => !item.status && item.group == group);
+
+        if (found.length == 0) {
+            syslog.warning(`No entries in group ${group} in the '${this.name}' list.`);
+            return 0;
+        }
+
+        await this.removeEntries(found, `Group ${group}`, imp);
+
+        let ips = found.slice(0, 10).map(i => i.ip).join(', ') + ((found.length > 10) ? ', ...' : '');
+        syslog.notice(`Removed ${found.length} entries in group ${group} (${ips}) from the '${this.name}' list.`);
+
+        return found.length;
+    }
+
+    /**
+     * Remove some entries.
+     * 
+     * @param   {object[]}  entries     Entries (as held in the list).
+     * @param   {string}    reason      Why, for the journal.
+     * @param   {boolean}   imp         Part of a bulk change (caller writes)?
+     */
+    async removeEntries(entries, reason = null, imp = false)
+    {
+        let gone = new Set(entries);
+
+        for (let item of gone) {
+            this.index.remove(item);
+            this._deleted(item);
+            this._record('remove', item, null, reason);
+        }
+        this.items = this.items.filter(item => !gone.has(item));
+
+        if (!imp) {
+            await this.write();
+        }
+    }
+
+    /**
+     * Work out how the active entries could be aggregated.
+     * 
+     * Entries are grouped by ports, reason and group, and each group is reduced to the
+     * minimal set of CIDRs covering the same addresses. Only CIDRs that replace more
+     * than one entry are returned.
+     * 
+     * @return  {object[]}  Merges as { item, sources }, where item is the new entry.
+     */
+    async aggregatePlan()
+    {
+        let groups = new Map();
+        for (let item of this.index.sorted()) {
+            if (item.status) {
+                continue;
+            }
+            let key = JSON.stringify([item.ports || null, item.reason || null, item.group || null, item.working.version]);
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(item);
+        }
+
+        let plan = [];
+
+        for (let entries of groups.values()) {
+            if (entries.length < 2) {
+                continue;
+            }
+
+            let version = entries[0].working.version;
+            let cidrs = IPHelper.aggregate(entries.map(e => [e.working.fromDec, e.working.toDec]), version);
 
-        for (let item of this.items) {
-            if (item.ip.startsWith(ip)) {
-                console.log(this._formatListItem(item, count));
-                count++;
+            for (let cidr of cidrs) {
+                let sources = entries.filter(e => e.working.fromDec >= cidr.ipLow && e.working.toDec <= cidr.ipHigh);
+                if (sources.length < 2) {
+                    continue;
+                }
+                let item = await this._addWorking(this._mergeItems(`${cidr.ipLowStr}/${cidr.prefixSize}`, sources));
+                plan.push({
+                    item: item,
+                    sources: sources,
+                });
             }
         }
 
-        console.log('-'.repeat(30));
+        return plan;
     }
 
     /**
-     * Find a country.
+     * Apply an aggregation plan to the list.
      * 
-     * @param {string}  c       Country to find.
+     * @param   {object[]}  plan    Merges from aggregatePlan().
      */
-    async findCountry(c)
+    async applyAggregate(plan)
     {
-        let count = 0;
-
-        console.log('-'.repeat(30));
-
-        for (let item of this.items) {
-            if (item.country == c) {
-                console.log(this._formatListItem(item, count));
-                count++;
+        let removed = new Set();
+
+        for (let merge of plan) {
+            for (let source of merge.sources) {
+                this.index.remove(source);
+                removed.add(source);
+                this._deleted(source);
+                this._record('aggregate', source, null, `Aggregated into ${merge.item.ip}`);
             }
+            this.index.add(merge.item);
+            this._changed(merge.item);
+            this._record('add', null, merge.item, `Aggregate of ${merge.sources.map(s => s.ip).join(', ')}`);
+            syslog.notice(`Aggregated ${merge.sources.length} entries into ${merge.item.ip} in the '${this.name}' list.`);
         }
 
-        console.log('-'.repeat(30));
+        this.items = this.items.filter(item => !removed.has(item)).concat(plan.map(merge => merge.item));
+        await this.write();
     }
 
     /**
-     * Check expired records.
+     * Get the active entries with aggregation applied, leaving the list itself alone.
      * 
-     * @param   {object}    ip      IP address.
-     * @param   {string}    ports   Ports identifier.
-     * @return  {number}            Record number if found, else -1.
+     * @return  {object[]}  Entries sorted by IP.
      */
-    async checkExpired(ip, ports = null)
+    async aggregatedItems()
     {
-        if (this.items.length == 0) {
-            return -1;
-        }
-        for (let index in this.items) {
-            let item = this.items[index];
-            if (item.status && (item.status == 1) && (ip == item.ip)) {
-                if ((ports && !item.ports) || (!ports && item.ports)) {
-                    continue;
-                } else if ((item.ports && ports && item.ports == ports) || (!ports && !item.ports)) {
-                    return index;
-                }
-            } 
+        let plan = await this.aggregatePlan();
+
+        let removed = new Set();
+        for (let merge of plan) {
+            for (let source of merge.sources) {
+                removed.add(source);
+            }
         }
 
-        return -1;
+        let ret = this.index.sorted().filter(item => !item.status && !removed.has(item));
+        return ret.concat(plan.map(merge => merge.item)).sort(RangeIndex.compare);
     }
 
     /**
-     * Add an IP address.
+     * Merge entries into a new entry for a CIDR.
      * 
-     * @param   {string}    ip      IP address.
-     * @param   {string}    ports   Ports identifier.
-     * @param   {object}    extra   Extra data.
-     * @param   {boolean}   imp     Is this an import?
+     * The earliest added date, the longest block period and the most offences are kept,
+     * and so is the group (sources are always from the same one). Country, org and ASN
+     * are kept only when every source agrees.
+     * 
+     * @param   {string}    cidr        CIDR of the new entry.
+     * @param   {object[]}  sources     Entries being merged.
+     * @return  {object}                New entry (without working data).
      */
-    async add(ip, ports = null, extra = null, imp = false)
+    _mergeItems(cidr, sources)
     {
         let item = {
-            ip: ip,
-        }
+            id: ListSchema.newId(),
+            ip: cidr,
+            dtAdded: sources.map(s => s.dtAdded).sort()[0],
+        };
 
-        if (extra.dtAdded) {
-            item.dtAdded = extra.dtAdded;
-            delete extra.dtAdded;
-        } else {
-            item.dtAdded = new Date().toISOString();
+        if (sources[0].ports) {
+            item.ports = sources[0].ports;
         }
-
-        if (ports != null) {
-            item.ports = ports;
+        if (sources[0].reason) {
+            item.reason = sources[0].reason;
         }
-
-        let pReason = -1;
-        if (item.ports) {
-            if (!this.cfg.ports[item.ports]) {
-                syslog.error(`No ports definition found for '${item.ports}'.`);
-                return;
-            } else if (this.cfg.ports[item.ports].reason) {
-                pReason = this.cfg.ports[item.ports].reason;
-            }
+        if (sources[0].group) {
+            item.group = sources[0].group;
         }
 
-        if (!extra) {
-            extra = [];
+        let offences = Math.max(...sources.map(s => s.offences || 0));
+        if (offences > 0) {
+            item.offences = offences;
         }
 
-        if (pReason != -1 && !extra.reason) {
-            if (!this.cfg.reasons[pReason])  {
-                syslog.error(`No reason with index ${pReason} (reason derived from ports).`);
-                return;
-            } else {
-                extra.reason = this.cfg.reasons[pReason];
+        for (let key of ['country', 'org', 'asn']) {
+            if (sources[0][key] && sources.every(s => s[key] == sources[0][key])) {
+                item[key] = sources[0][key];
             }
         }
 
-        if (extra) {
-            for (let k of Object.keys(extra)) {
-                if (extra[k] && extra[k] != null) {
-                    item[k] = extra[k];
-                }
+        if (this.expires) {
+            let days = sources.map(s => this.getBlockDays(s));
+            let longest = (days.includes(0)) ? 999999 : Math.max(...days);
+            if (longest != this.getBlockDays(item)) {
+                item.days = longest;
             }
-
         }
 
-        item = await this._addWorking(item);
-
-        if (await this.isAlreadyPresent(item)) {
-            return;
-        }
-        await this.checkRedundancies(item);
+        return item;
+    }
 
-        let expChk = await this.checkExpired(ip, ports);
+    /**
+     * Count the earlier offences of an item.
+     * 
+     * Every block covering the item that ran its course counts once, whether it is
+     * still in the list as expired or was deleted on expiry and only the journal
+     * remembers it. Blocks that were removed by hand don't count.
+     * 
+     * @param   {object}    item    Item with working data.
+     * @return  {number}            Earlier offences.
+     */
+    async priorOffences(item)
+    {
+        let seen = new Set();
+        let most = 0;
 
-        if (expChk == -1) {
-            this.items.push(item); 
-            syslog.notice(`Added ${ip} to the '${this.name}' list.`);
-        } else {
-            let tmp = this.items[expChk];
-            let suff = `Expired record created on ${tmp.dtAdded} and expired on ${tmp.dtExpired}.`
-            delete this.items[expChk].status;
-            delete this.items[expChk].dtExpired;
-            delete this.items[expChk].days;
-            for (let key in item) {
-                this.items[expChk][key] = item[key];
+        for (let entry of this.index.covering(item.working.fromDec, item.working.toDec)) {
+            if (entry.status == 1) {
+                seen.add(`${entry.ip}|${entry.dtAdded}`);
+                most = Math.max(most, entry.offences || 1);
             }
-            syslog.notice(`Restored ${ip} to the '${this.name}' list from expired record. (${suff})`);    
         }
 
-        if (!imp) {
-            this.sortByIP();
-            this.write();
+        if (this.journal) {
+            for (let entry of this.journal.covering(item.ip)) {
+                if (entry.list == this.name && entry.action == 'expire' && entry.before) {
+                    seen.add(`${entry.before.ip}|${entry.before.dtAdded}`);
+                    most = Math.max(most, entry.before.offences || 1);
+                }
+            }
         }
-}
+
+        return Math.max(seen.size, most);
+    }
 
     /**
-     * Remove an IP address.
+     * Escalate the block period of an item for repeat offences.
      * 
-     * @param   {string}    ip      IP address.
-     * @param   {string}    ports   Ports identifier.
+     * With cfg.escalation.periods set (days for the first, second, ... offence, with 0
+     * for permanent and the last period repeating), the item records its offence
+     * number and is blocked for the escalated period if that is longer than it would
+     * be otherwise.
+     * 
+     * @param   {object}    item    Item with working data.
      */
-    async remove(ip, ports = null) 
+    async escalate(item)
     {
-        let newList = [];
+        if (!this.cfg.escalation || !Array.isArray(this.cfg.escalation.periods) || 
+                this.cfg.escalation.periods.length == 0 || !this.expires) {
+            return;
+        }
 
-        let found = false;
+        let periods = this.cfg.escalation.periods;
+        let offence = await this.priorOffences(item) + 1;
+        let period = periods[Math.min(offence, periods.length) - 1];
 
-        for (let item of this.items) {
-            if (item.status) {
-                newList.push(item);
-            }
+        item.offences = offence;
 
-            if (item.ip == ip) {
-                if ((!ports && !item.ports) || (item.ports && ports == item.ports)) {
-                    found = true;
-                } else {
-                    newList.push(item);
-                }
-            } else {
-                newList.push(item);
-            }
+        let days = (period == 0) ? 999999 : period;
+        if (days > this.getBlockDays(item)) {
+            item.days = days;
         }
 
-        if (found) {
-            this.items = newList;
-            this.write();
-            syslog.notice(`Removed ${ip} from the '${this.name}' list.`);
-        } else {
-            syslog.warning(`${ip} not found in the '${this.name}' list.`);
+        if (offence > 1) {
+            let chosen = this.getBlockDays(item);
+            syslog.notice(`${item.ip} is on offence ${offence}, blocking ` + 
+                `${(chosen >= 999999) ? 'permanently' : 'for ' + chosen + ' days'}.`);
         }
     }
 
@@ -423,6 +1070,10 @@ class IPList
      */
     getBlockDays(item)
     {
+        if (!this.expires) {
+            return 0;
+        }
+
         let blockdays = 0;
         if (this.cfg.defaultBlockDays) {
             blockdays = this.cfg.defaultBlockDays;
@@ -440,21 +1091,119 @@ class IPList
 
     }
 
+    /**
+     * Get the ports for an entry.
+     * 
+     * Port specs may be a single port, a comma-separated string or an array. Ranges
+     * may be written 'a:b', 'a-b' or 'a_b'.
+     * 
+     * @param   {object}    item    List entry.
+     * @return  {object|null}       { proto, ports: [{from, to}] } or null for all ports.
+     * @throws  {Error}             If the ports group is not configured.
+     */
+    portsOf(item)
+    {
+        if (!item.ports) {
+            return null;
+        }
+
+        let def = (this.cfg.ports) ? this.cfg.ports[item.ports] : null;
+        if (!def) {
+            throw new Error(`No ports configured for '${item.ports}'.`);
+        }
+
+        let ports = [];
+        for (let spec of [].concat(def.ports)) {
+            for (let p of String(spec).split(',')) {
+                p = p.trim();
+                if (p == '') {
+                    continue;
+                }
+                let sp = p.split(/[:\-_]/);
+                ports.push({from: sp[0], to: (sp.length > 1) ? sp[1] : sp[0]});
+            }
+        }
+
+        return {
+            proto: def.proto || 'tcp',
+            ports: ports,
+        };
+    }
+
+    /**
+     * See if an entry applies to a port.
+     * 
+     * @param   {object}    item    List entry.
+     * @param   {number}    port    Port.
+     * @return  {boolean}           True if it does, else false.
+     */
+    coversPort(item, port)
+    {
+        let def = this.portsOf(item);
+        if (!def) {
+            return true;
+        }
+        return def.ports.some(p => port >= Number(p.from) && port <= Number(p.to));
+    }
+
+    /**
+     * Get when an entry will expire.
+     * 
+     * @param   {object}    item    Item.
+     * @return  {Date|null}         Expiry, or null if it never expires.
+     */
+    expiryOf(item)
+    {
+        let blockDays = this.getBlockDays(item);
+        if (blockDays == 0 || blockDays >= 999999) {
+            return null;
+        }
+
+        let expires = new Date(item.dtAdded);
+        expires.setMilliseconds(expires.getMilliseconds() + (blockDays * 86400000));
+        return expires;
+    }
+
+    /**
+     * Describe an entry as plain data, without its working data but with the block
+     * days and expiry worked out.
+     * 
+     * @param   {object}    item    Item.
+     * @return  {object}            Description.
+     */
+    describe(item)
+    {
+        let ret = Object.assign({}, item);
+        delete ret.working;
+
+        if (this.expires) {
+            let expires = this.expiryOf(item);
+            ret.blockDays = this.getBlockDays(item);
+            ret.dtExpires = (expires) ? expires.toISOString() : null;
+        }
+
+        return ret;
+    }
+
     /**
      * Remove expired entries.
      * 
      * @param   {boolean}   test    Is this a test?
+     * @return  {object[]}          Entries expired.
      */
     async removeExpired(test = false)
     {
-        let rem = 0;
+        let rem = [];
         let newList = [];
 
         for (let item of this.items) {
 
             let blockdays = this.getBlockDays(item);
 
-            if (blockdays == 0) {
+            // Already expired.
+            if (item.status) {
+                newList.push(item);
+            } else if (blockdays == 0) {
                 newList.push(item);
             } else {
                 let dtRec = new Date(item.dtAdded);
@@ -464,49 +1213,201 @@ class IPList
                 if (elapsed < blockedMilliseconds) {
                     newList.push(item);
                 } else {
+                    let before = Object.assign({}, item);
                     if (!this.cfg.expireDeletes) {
                         item.status = 1;
                         item.dtExpired = dtNow.toISOString();
                         newList.push(item);
+                        this._changed(item);
+                    } else {
+                        this._deleted(item);
+                    }
+                    if (!test) {
+                        this._record('expire', before, (this.cfg.expireDeletes) ? null : item, `${blockdays} days elapsed`);
                     }
-                    rem++;
+                    rem.push(item);
                 }
             }
 
         }
 
-        if (rem > 0) {
-            syslog.notice(`Expired ${rem} records.`)
+        if (rem.length > 0) {
+            syslog.notice(`Expired ${rem.length} records.`)
             this.items = newList;
+            this.reindex();
             if (!test) {
-                this.write();
+                await this.write();
             }
         } else {
             syslog.notice(`No records to expire.`);
         }
+
+        return rem;
     }
 
     /**
      * List the items.
      * 
      * @param   {number}    status  Status of records to list.
+     * @param   {string}    group   Only list this group.
      */
-    async list(status = -1)
+    async list(status = -1, group = null)
     {
-        let count = 0;
+        this.sortByIP();
+        this.print(this.select(status, group));
+    }
 
-        console.log('-'.repeat(30));
+    /**
+     * Get the items to list, in IP order.
+     * 
+     * @param   {number}    status  Status of records to get (-1 for active ones).
+     * @param   {string}    group   Only get this group.
+     * @return  {object[]}          Entries.
+     */
+    select(status = -1, group = null)
+    {
+        return this.index.sorted().filter(item => {
+            if (group && item.group != group) {
+                return false;
+            }
+            if (status == -1) {
+                return !item.status;
+            }
+            return item.status == status;
+        });
+    }
 
-        this.sortByIP();
+    /**
+     * Query the entries.
+     * 
+     * Filters are all optional and an entry must pass every one given:
+     * 
+     *  status:     'active' (the default), 'expired' or 'all'.
+     *  contains:   IP or CIDR the entry must cover the whole of.
+     *  reason:     Text the reason must contain (any case).
+     *  org:        Text the org or 'AS<asn>' must contain (any case).
+     *  country:    Country code.
+     *  ports:      Ports identifier, or 'none' for entries covering every port.
+     *  group:      Group ID.
+     *  before:     Added before this date.
+     *  after:      Added on or after this date.
+     *  expiring:   Expiring within this many days.
+     * 
+     * Entries come back sorted by opts.sort ('ip', 'added', 'expiry' or 'country'), in 
+     * reverse with opts.reverse, and paged with opts.offset and opts.limit.
+     * 
+     * @param   {object}    filters     Filters.
+     * @param   {object}    opts        Sorting and paging.
+     * @return  {object}                { total, items } where total is before paging.
+     * @throws  {Error}                 If a filter or option is invalid.
+     */
+    query(filters = {}, opts = {})
+    {
+        let tests = [];
 
-        for (let item of this.items) {
-            if (status != -1 && item.status && item.status != status) {
-                count++;
-                continue;
-            } else if (status == -1 && item.status) {
-                count++;
-                continue;
+        let status = filters.status || 'active';
+        if (!['active', 'expired', 'all'].includes(status)) {
+            throw this._refuse(`Invalid status '${status}' (use active, expired or all).`);
+        }
+        if (status != 'all') {
+            tests.push(item => (status == 'active') ? !item.status : item.status == 1);
+        }
+
+        let items = null;
+        if (filters.contains) {
+            if (!this.isValid(filters.contains)) {
+                throw this._refuse(`'${filters.contains}' is not a valid IP address or CIDR.`);
+            }
+            let sm = IPHelper.subnet(IPHelper.normalise(filters.contains));
+            items = this.index.covering(sm.ipLow, sm.ipHigh);
+        } else {
+            items = this.index.sorted();
+        }
+
+        for (let key of ['reason', 'org']) {
+            if (filters[key]) {
+                let text = String(filters[key]).toLowerCase();
+                tests.push(item => {
+                    let value = item[key] || '';
+                    if (key == 'org' && item.asn) {
+                        value += ` AS${item.asn}`;
+                    }
+                    return value.toLowerCase().includes(text);
+                });
+            }
+        }
+
+        if (filters.country) {
+            tests.push(item => item.country == String(filters.country).toUpperCase());
+        }
+
+        if (filters.ports) {
+            tests.push(item => (filters.ports == 'none') ? !item.ports : item.ports == filters.ports);
+        }
+
+        if (filters.group) {
+            tests.push(item => item.group == filters.group);
+        }
+
+        for (let key of ['before', 'after']) {
+            if (filters[key]) {
+                let dt = new Date(filters[key]);
+                if (isNaN(dt)) {
+                    throw this._refuse(`Invalid date '${filters[key]}'.`);
+                }
+                tests.push(item => (key == 'before') ? new Date(item.dtAdded) < dt : new Date(item.dtAdded) >= dt);
+            }
+        }
+
+        if (filters.expiring !== undefined && filters.expiring !== null) {
+            let days = Number(filters.expiring);
+            if (isNaN(days) || days < 0) {
+                throw this._refuse(`Invalid number of days '${filters.expiring}'.`);
             }
+            let by = new Date(Date.now() + (days * 86400000));
+            tests.push(item => {
+                let expires = this.expiryOf(item);
+                return expires != null && expires <= by;
+            });
+        }
+
+        items = items.filter(item => tests.every(test => test(item)));
+
+        let sort = opts.sort || 'ip';
+        let compare = {
+            ip: RangeIndex.compare,
+            added: this._sortDateCompare,
+            expiry: (a, b) => this._sortExpiryCompare(a, b),
+            country: (a, b) => (a.country || '').localeCompare(b.country || '') || RangeIndex.compare(a, b),
+        }[sort];
+        if (!compare) {
+            throw this._refuse(`Invalid sort '${sort}' (use ip, added, expiry or country).`);
+        }
+        items.sort(compare);
+        if (opts.reverse) {
+            items.reverse();
+        }
+
+        let offset = Number(opts.offset) || 0;
+        let limit = Number(opts.limit) || 0;
+
+        return {
+            total: items.length,
+            items: items.slice(offset, (limit > 0) ? offset + limit : undefined),
+        };
+    }
+
+    /**
+     * Print some entries.
+     * 
+     * @param   {object[]}  items   Entries.
+     */
+    print(items)
+    {
+        console.log('-'.repeat(30));
+
+        let count = 0;
+        for (let item of items) {
             console.log(this._formatListItem(item, count));
             count++;
         }
@@ -514,12 +1415,29 @@ class IPList
         console.log('-'.repeat(30));
     }
 
+    /**
+     * Record a change in the journal, if there is one, once it has been written.
+     * 
+     * @param   {string}    action  Action.
+     * @param   {object}    before  Entry before the change (or null).
+     * @param   {object}    after   Entry after the change (or null).
+     * @param   {string}    reason  Why (or null).
+     */
+    _record(action, before, after, reason = null)
+    {
+        if (this.journal) {
+            this.unjournalled.push(this.journal.entry(this.name, action, before, after, reason));
+        }
+    }
+
     /**
      * Pad a string.
      */
     _pad(pad, str, padLeft) {
         if (typeof str === 'undefined') 
             return pad;
+        if (str.length >= pad.length)
+            return str;
         if (padLeft) {
             return (pad + str).slice(-pad.length);
         } else {
@@ -551,22 +1469,33 @@ class IPList
         if (item.org) {
             line += `, ${item.org}`;
         }
+        if (item.asn) {
+            line += `, AS${item.asn}`;
+        }
         if (item.reason) {
             line += `, ${item.reason}`;
         }
         if (item.days) {
             line += `, ${item.days} days`;
         }
+        if (item.group) {
+            line += `, group ${item.group}`;
+        }
+        if (item.offences) {
+            line += `, offence ${item.offences}`;
+        }
 
-        if (!item.dtExpired) {
+        if (!item.dtExpired && this.expires) {
             let blockDays = this.getBlockDays(item);
+            let expires = this.expiryOf(item);
 
-            line += ` / ${blockDays} days`;
-
-            let expires = new Date(item.dtAdded);
-            expires.setMilliseconds(expires.getMilliseconds() + (blockDays * 86400000));
-
-            line += ` (${expires.toISOString()})`;
+            if (blockDays >= 999999) {
+                line += ` / permanent`;
+            } else if (!expires) {
+                line += ` / ${blockDays} days (never expires)`;
+            } else {
+                line += ` / ${blockDays} days (${expires.toISOString()})`;
+            }
         }
 
         if (item.dtExpired) {
@@ -581,10 +1510,12 @@ class IPList
 
     /**
      * Sort by IP.
+     * 
+     * The range index is kept in IP order, so this takes its order rather than sorting.
      */
     sortByIP()
     {
-        this.items.sort(this._sortIPCompare);
+        this.items = this.index.sorted();
     }
 
     /**
@@ -595,20 +1526,7 @@ class IPList
      */
     _sortIPCompare(a, b)
     {
-        let ip1 = a.ip;
-        if (ip1.indexOf('/') != -1) {
-            let sp = ip1.split('/');
-            ip1 = sp[0];
-        }
-        let ip2 = b.ip;
-        if (ip2.indexOf('/') != -1) {
-            let sp = ip2.split('/');
-            ip2 = sp[0];
-        }
-
-        const num1 = Number(ip1.split(".").map((num) => (`000${num}`).slice(-3) ).join(""));
-        const num2 = Number(ip2.split(".").map((num) => (`000${num}`).slice(-3) ).join(""));
-        return num1 - num2;
+        return RangeIndex.compare(a, b);
     }
 
     /**
@@ -627,7 +1545,20 @@ class IPList
      */
     _sortDateCompare(a, b)
     {
-        return Date(a.dtAdded) - Date(b.dtAdded);
+        return (new Date(a.dtAdded) - new Date(b.dtAdded)) || RangeIndex.compare(a, b);
+    }
+
+    /**
+     * The compare function for sorting items by expiry, those that never expire last.
+     * 
+     * @param   {object}    a   First item.
+     * @param   {object}    b   Second item.
+     */
+    _sortExpiryCompare(a, b)
+    {
+        let ea = this.expiryOf(a);
+        let eb = this.expiryOf(b);
+        return ((ea) ? ea.getTime() : Infinity) - ((eb) ? eb.getTime() : Infinity) || RangeIndex.compare(a, b);
     }
 
     /**
@@ -645,22 +1576,39 @@ class IPList
             toDec: null,
         }
 
-        let ipUse = item.ip;
-        if (ipUse.indexOf('/') == -1) {
-            ipUse += "/32";
-        }
-
-        let sm = await this.who.subnetMask(ipUse);
+        let sm = await this.who.subnetMask(item.ip);
         working.from = sm.ipLowStr;
         working.to = sm.ipHighStr;
         working.fromDec = sm.ipLow;
         working.toDec = sm.ipHigh;
+        working.version = sm.version;
 
         item.working = working;
 
         return item;
     }
-    
+
+    /**
+     * Revive working data that was read from file.
+     * 
+     * Decimals are written as strings because JSON has no big integers. Working data
+     * from before IPv6 support (no version) is recalculated.
+     *
+     * @param   {object}  item  Object to revive data on.
+     * @return  {object}        Updated item.
+     */
+    async _reviveWorking(item)
+    {
+        if (!item.working || !item.working.version) {
+            return await this._addWorking(item);
+        }
+
+        item.working.fromDec = BigInt(item.working.fromDec);
+        item.working.toDec = BigInt(item.working.toDec);
+
+        return item;
+    }
+
     /**
      * Remove working data.
      *
@@ -672,6 +1620,19 @@ class IPList
         delete item.working;
         return item;
     }
+
+    /**
+     * Create an error for a request refused as invalid, rather than one that failed.
+     * 
+     * @param   {string}    message Message.
+     * @return  {Error}             Error, with 'refused' set.
+     */
+    _refuse(message)
+    {
+        let err = new Error(message);
+        err.refused = true;
+        return err;
+    }
 }
 
 module.exports = IPList;
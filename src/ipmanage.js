@@ -8,37 +8,83 @@
 
 'use strict';
 
-const WhoIsHelper = require("./whoishelper");
+const IPHelper = require("./iphelper");
 const syslog = require("greenhat-util/syslog");
 const path = require("path");
 const fs = require("fs");
 const IPList = require('./iplist');
 const bftp = require("basic-ftp");
+const exporters = require('./exporters');
+const storages = require('./storage');
+const parsers = require('./ingest');
+const Ingester = require('./ingest/ingester');
+const ApiServer = require('./apiserver');
+const IPManager = require('./ipmanager');
+const RecordWriter = require('./recordwriter');
+const reports = require('./reports');
 
 /**
- * Main manager class.
+ * Commands that only read the lists, so need not wait for the lock.
  */
-class IPManage
+const READ_ONLY = ['help', 'lookup', 'blocklist', 'blocklistexpired', 'allowlist', 'findip', 'findcountry',
+    'reasons', 'history', 'validate', 'query', 'check', 'report'];
+
+/**
+ * Commands that take the lock themselves, as and when they change the lists.
+ */
+const SELF_LOCKING = ['serve'];
+
+/**
+ * Commands whose --format is their own, rather than the output format of a query.
+ */
+const OWN_FORMAT = ['print', 'report'];
+
+/**
+ * Columns for list entries in CSV and TSV output.
+ */
+const ENTRY_COLUMNS = ['ip', 'ports', 'status', 'dtAdded', 'days', 'blockDays', 'dtExpires', 'dtExpired', 
+    'country', 'org', 'asn', 'reason', 'group', 'offences', 'id'];
+
+/**
+ * Exit codes on failure for commands whose exit code 1 means something else.
+ */
+const FAIL_CODES = {check: 2};
+
+/**
+ * Commands that can run when a list file is corrupt.
+ */
+const RECOVERY = ['help', 'validate', 'repair', 'undo', 'restore'];
+
+/**
+ * Command line interface, over the programmatic one.
+ */
+class IPManage extends IPManager
 {
     /**
      * Constructor.
+     * 
+     * @param   {string[]}  argv    Command line.
      */
-    constructor()
+    constructor(argv = process.argv)
     {
         syslog.setExceptionTraces(true);
 
-        this.args = require('minimist')(process.argv);
-        this.appPath = path.dirname(this.args['_'][1]);
-        this.dataPath = path.join(this.appPath, 'data');
-
-        this.cfg = require(path.join(this.dataPath, 'config.js'));
+        let args = require('minimist')(argv);
+        let dataPath = path.join(path.dirname(args['_'][1]), 'data');
 
-        this.who = new WhoIsHelper();
+        super(dataPath, require(path.join(dataPath, 'config.js')));
 
-        this.blocks = new IPList('Blocks', path.join(this.dataPath, 'blocks.json'), this.cfg, 
-            this.cfg.readWorking, this.cfg.writeWorking);
-        this.blocks.read();
+        this.args = args;
+        this.appPath = path.dirname(args['_'][1]);
 
+        // --format is the exporter for 'print' and so on, but the output format for the queries.
+        this.output = null;
+        let format = (args['json']) ? 'json' : ((!OWN_FORMAT.includes(args['_'][2])) ? args['format'] : null);
+        if (RecordWriter.formats.includes(format)) {
+            this.output = new RecordWriter(format);
+            // Keep stdout for the records, so everything else goes to stderr.
+            console.log = console.error;
+        }
     }
 
     /**
@@ -53,6 +99,49 @@ class IPManage
         
         let first = this.args['_'][2];
 
+        if (this.args['format'] && !OWN_FORMAT.includes(first) && !this.output) {
+            syslog.error(`Unknown output format '${this.args['format']}' (use ${RecordWriter.formats.join(', ')}).`);
+            this._failed(first);
+            return 1;
+        }
+
+        // The lock covers reading the lists as well as writing them.
+        if (!READ_ONLY.includes(first) && !SELF_LOCKING.includes(first) && !await this.lock.acquire()) {
+            this._failed(first);
+            return 1;
+        }
+
+        try {
+            await this._run(first);
+        } catch (err) {
+            syslog.error(err.message);
+            this._failed(first);
+        } finally {
+            this.close();
+            this.lock.release();
+        }
+
+        syslog.notice('='.repeat(50));
+        console.log(' ');
+
+        return 0;
+
+    }
+
+    /**
+     * Read the lists and run a command.
+     * 
+     * @param   {string}    first   Command.
+     */
+    async _run(first)
+    {
+        if (!await this.open() && !RECOVERY.includes(first)) {
+            syslog.error(`Refusing to continue with a list file that cannot be read. ` +
+                `Use 'validate' and 'repair', or 'undo' or 'restore' to go back to a snapshot.`);
+            this._failed(first);
+            return;
+        }
+
         if (this.args['test']) {
             this.test = true;
         }
@@ -70,15 +159,45 @@ class IPManage
             case 'blocklist':
                 await this.doBlockList();
                 break;
+            case 'blockasn':
+                await this.doBlockAsn();
+                break;
+            case 'blockorg':
+                await this.doBlockOrg();
+                break;
+            case 'unblockasn':
+                await this.doUnblockAsn();
+                break;
+            case 'blockcountry':
+                await this.doBlockCountry();
+                break;
+            case 'unblockcountry':
+                await this.doUnblockCountry();
+                break;
+            case 'refreshcountries':
+                await this.doRefreshCountries();
+                break;
             case 'blocklistexpired':
                 await this.doBlockList(1);
                 break;
+            case 'allow':
+                await this.doAllow();
+                break;
+            case 'disallow':
+                await this.doDisallow();
+                break;
+            case 'allowlist':
+                await this.doAllowList();
+                break;
             case 'importblocks':
                 await this.doImportBlocks();
                 break;
             case 'importblocksspecial':
                 await this.doImportBlocksSpecial();
                 break;
+            case 'ingest':
+                await this.doIngest();
+                break;
             case 'expire':
                 await this.doExpire();
                 break;
@@ -88,12 +207,27 @@ class IPManage
             case 'findcountry':
                 await this.doFindCountry();
                 break;
+            case 'query':
+                await this.doQuery();
+                break;
+            case 'check':
+                await this.doCheck();
+                break;
+            case 'report':
+                await this.doReport();
+                break;
             case 'reasons':
                 await this.doReasons();
                 break;
             case 'printcsf':
                 await this.doPrintCsf();
                 break;
+            case 'print':
+                await this.doPrint();
+                break;
+            case 'aggregate':
+                await this.doAggregate();
+                break;
             case 'ftp':
                 await this.doFtp();
                 break;
@@ -109,18 +243,46 @@ class IPManage
             case 'test':
                 await this.doTest();
                 break;
+            case 'cache':
+                await this.doCache();
+                break;
+            case 'history':
+                await this.doHistory();
+                break;
+            case 'validate':
+                await this.doValidate();
+                break;
+            case 'repair':
+                await this.doRepair();
+                break;
+            case 'migrate-storage':
+                await this.doMigrateStorage();
+                break;
+            case 'undo':
+                await this.doUndo();
+                break;
+            case 'restore':
+                await this.doRestore();
+                break;
+            case 'serve':
+                await this.doServe();
+                break;
             case 'help':
                 await this.doHelp();
                 break;
             default:
                 syslog.error("Invalid command.");
         }
+    }
 
-        syslog.notice('='.repeat(50));
-        console.log(' ');
-
-        return 0;
-
+    /**
+     * Set the exit code for a command that failed.
+     * 
+     * @param   {string}    first   Command.
+     */
+    _failed(first)
+    {
+        process.exitCode = FAIL_CODES[first] || 1;
     }
 
     /**
@@ -131,20 +293,74 @@ class IPManage
         if (this.args['_'][3]) {
 
         } else {
-            console.log(`lookup [ip]`);
-            console.log(`block [ip] {-p ports} {-d days} {-r reasonid|reason} {-x reasonextra}`);
-            console.log(`unblock [ip] {-p ports}`);
-            console.log(`blocklist`);
+            console.log(`lookup [ip] {--nocache}`);
+            console.log(`block [ip|cidr|from-to] {-p ports} {-d days} {-r reasonid|reason} {-x reasonextra} {--netrange} {--force}`);
+            console.log(`unblock [ip|cidr|from-to] {-p ports}`);
+            console.log(`unblock -g [groupid]`);
+            console.log(`blockasn [asn] {-p ports} {-d days} {-r reasonid|reason} {-x reasonextra} {--force}`);
+            console.log(`blockorg [pattern] {--all} {-p ports} {-d days} {-r reasonid|reason} {-x reasonextra} {--force}`);
+            console.log(`unblockasn [asn]`);
+            console.log(`blockcountry [country-code] {-p|--ports ports} {-d days} {-r reasonid|reason} {-x reasonextra} {--force}`);
+            console.log(`unblockcountry [country-code]`);
+            console.log(`refreshcountries {--all}`);
+            console.log(`blocklist {-g groupid}`);
             console.log(`blocklistexpired`);
+            console.log(`allow [ip|cidr] {-p ports} {-r reasonid|reason} {-x reasonextra}`);
+            console.log(`disallow [ip|cidr] {-p ports}`);
+            console.log(`allowlist`);
+            console.log(`ingest [logfile] --parser ${Object.keys(parsers).join('|')} {--block}`);
             console.log(`expire`);
-            console.log(`findip [ip mask]`);
+            console.log(`findip [ip|cidr|from-to|ip mask]`);
             console.log(`findcountry [country-code]`);
+            console.log(`report {--format ${Object.keys(reports).join('|')}} {--weeks n} {--top n} {-o file} {--json}`);
+            console.log(`check [ip|cidr] {--port port} (exit code 0 if blocked, 1 if not, 2 on error)`);
+            console.log(`query {--contains ip|cidr} {--reason text} {--org text} {--country cc} {-p|--ports ports|none} ` +
+                `{-g groupid} {--before date} {--after date} {--expiring days} {--status active|expired|all} ` + 
+                `{--sort ip|added|expiry|country} {--reverse} {--limit n} {--offset n}`);
             console.log(`reasons`);
             console.log(`printcsf`);
+            console.log(`print {--format ${Object.keys(exporters).join('|')}} {--aggregate}`);
+            console.log(`aggregate {--apply}`);
             console.log(`ftp`);
             console.log(`rcsf`);
             console.log(`refresh`);
+            console.log(`cache [stats|clear]`);
+            console.log(`history [ip|cidr|from-to]`);
+            console.log(`validate`);
+            console.log(`repair`);
+            console.log(`migrate-storage --to [${Object.keys(storages).join('|')}] {--force}`);
+            console.log(`undo`);
+            console.log(`restore --at [timestamp]`);
+            console.log(`serve {--host host} {--port port}`);
+            console.log(`Queries (lookup, blocklist, blocklistexpired, allowlist, findip, findcountry, query, check, reasons, history) ` + 
+                `take {--json} or {--format ${RecordWriter.formats.join('|')}}.`);
+        }
+    }
+
+    /**
+     * Serve the JSON API until interrupted.
+     */
+    async doServe()
+    {
+        let apiCfg = this.cfg.api || {};
+
+        let server = new ApiServer(this, {
+            host: this.args['host'] || apiCfg.host,
+            port: this.args['port'] || apiCfg.port,
+            token: process.env.IPMANAGER_API_TOKEN || apiCfg.token,
+        });
+
+        if (!await server.start()) {
+            process.exitCode = 1;
+            return;
         }
+
+        await new Promise(resolve => {
+            process.once('SIGINT', resolve);
+            process.once('SIGTERM', resolve);
+        });
+
+        await server.stop();
     }
 
     /**
@@ -152,6 +368,7 @@ class IPManage
      */
     async doRefresh()
     {
+        await this.doRefreshCountries();
         await this.doPrintCsf();
         await this.doFtp();
         await this.doRcsf();
@@ -244,21 +461,27 @@ class IPManage
             return 0;
         }
 
-        let file = path.join(this.dataPath, ftpSpecs.source);
-
-        if (!fs.existsSync(file)) {
-            syslog.error(`Source file ${file} not found.`);
-            client.close();
-            return;
+        let sources = [ftpSpecs.source];
+        if (ftpSpecs.allowSource) {
+            sources.push(ftpSpecs.allowSource);
         }
 
-        let destFile = path.join(ftpSpecs.dest, ftpSpecs.source);
+        for (let source of sources) {
+            let file = path.join(this.dataPath, source);
 
-        try {
-            syslog.info(`Uploading ${file} to ${destFile}`);
-            await client.uploadFrom(file, destFile);
-        } catch (err) {
-            syslog.error(`FTP transfer error: ${err}`);
+            if (!fs.existsSync(file)) {
+                syslog.error(`Source file ${file} not found.`);
+                continue;
+            }
+
+            let destFile = path.join(ftpSpecs.dest, source);
+
+            try {
+                syslog.info(`Uploading ${file} to ${destFile}`);
+                await client.uploadFrom(file, destFile);
+            } catch (err) {
+                syslog.error(`FTP transfer error: ${err}`);
+            }
         }
 
         client.close();
@@ -270,70 +493,77 @@ class IPManage
      */
     async doPrintCsf()
     {
-        let final = '';
-
-        this.blocks.sortByIP();
-
-        for (let item of this.blocks.items) {
-            if (item.status) {
-                continue;
-            }
-            let line = '';
-            if (item.ports) {
-                if (!this.cfg.ports[item.ports]) {
-                    syslog.error(`No ports configured for '${item.ports}'.`);
-                    return;
-                }
-                let ports = null;
-                if (!Array.isArray(item.ports)) {
-                    ports = [this.cfg.ports[item.ports].ports];
-                } else {
-                    ports = this.cfg.ports[item.ports].ports;
-                }
-
-                line += `d=${ports.join(',')}|s=${item.ip}`;
-
-            } else {
-                line += item.ip;
-            }
-
-            if (item.ports) {
-                line += "\t"
-            } else {
-                line += "\t\t\t"
-            }
+        await this._export(this.blocks, 'csf', this._exportPath('csf'));
 
-            line += ` # ${item.country}`;
+        if (this.cfg.ftp && this.cfg.ftp.allowSource) {
+            await this._export(this.allows, 'csf', path.join(this.dataPath, this.cfg.ftp.allowSource));
+        }
+    }
 
-            if (item.org) {
-                line += ` / ${item.org}`;
-            }
+    /**
+     * Print in a given firewall format.
+     */
+    async doPrint()
+    {
+        let format = this.args['format'] || 'csf';
 
-            if (item.reason) {
-                line += ` / ${item.reason}`;
-            } else {
-                line += ` / General`;
-            }
+        if (!exporters[format]) {
+            syslog.error(`Unknown format '${format}'. Available: ${Object.keys(exporters).join(', ')}.`);
+            return;
+        }
 
-            if (item.dtAdded) {
-                line += ` / ${item.dtAdded}`;
-            }
+        await this._export(this.blocks, format, this._exportPath(format));
+    }
 
-            let blockDays = this.blocks.getBlockDays(item);
+    /**
+     * Get the output path for an export format.
+     * 
+     * cfg.exporters[format].path wins, relative paths being relative to the data
+     * directory. CSF falls back to the FTP source file.
+     * 
+     * @param   {string}    format  Format name.
+     * @return  {string}            Path.
+     */
+    _exportPath(format)
+    {
+        let opts = (this.cfg.exporters && this.cfg.exporters[format]) ? this.cfg.exporters[format] : {};
 
-            line += ` / ${blockDays} days`;
+        let fileName = opts.path;
+        if (!fileName && format == 'csf' && this.cfg.ftp && this.cfg.ftp.source) {
+            fileName = this.cfg.ftp.source;
+        }
+        if (!fileName) {
+            fileName = exporters[format].defaultFile;
+        }
 
-            let expires = new Date(item.dtAdded);
-            expires.setMilliseconds(expires.getMilliseconds() + (blockDays * 86400000));
+        return path.resolve(this.dataPath, fileName);
+    }
 
-            line += ` (${expires.toISOString()})`;
+    /**
+     * Export a list.
+     * 
+     * @param   {IPList}    list        List to export.
+     * @param   {string}    format      Format name.
+     * @param   {string}    fp          Path to write to.
+     */
+    async _export(list, format, fp)
+    {
+        let opts = Object.assign({}, (this.cfg.exporters && this.cfg.exporters[format]) ? this.cfg.exporters[format] : {});
+        if (this.args['aggregate']) {
+            opts.aggregate = true;
+        }
+        let exporter = new exporters[format](list, this.cfg, opts);
 
-            final += line + '\n';
+        let final = null;
+        try {
+            final = await exporter.render();
+        } catch (err) {
+            syslog.error(`Failed to render '${format}' output: ${err.message}`);
+            return;
         }
 
         console.log(final);
         try {
-            let fp = path.join(this.dataPath, this.cfg.ftp.source);
             fs.writeFileSync(fp, final);
             syslog.notice(`Successfully wrote IP list to: ${fp}.`)
         } catch (err) {
@@ -341,6 +571,33 @@ class IPManage
         }
     }
 
+    /**
+     * Aggregate the block list into the fewest CIDRs.
+     * 
+     * Previews the merges unless --apply is given.
+     */
+    async doAggregate()
+    {
+        let plan = await this.blocks.aggregatePlan();
+
+        if (plan.length == 0) {
+            syslog.notice('Nothing to aggregate.');
+            return;
+        }
+
+        let count = 0;
+        for (let merge of plan) {
+            console.log(`${merge.sources.map(s => s.ip).join(' + ')} => ${merge.item.ip}`);
+            count += merge.sources.length;
+        }
+
+        if (this.args['apply']) {
+            await this.blocks.applyAggregate(plan);
+        } else {
+            syslog.notice(`${count} entries could be aggregated into ${plan.length}. Use --apply to rewrite the list.`);
+        }
+    }
+
     /**
      * List the reasons.
      */
@@ -351,8 +608,14 @@ class IPManage
             return;
         }
 
+        if (this.output) {
+            this.output.write(this.reasons().map((reason, index) => ({index: index, reason: reason})), 
+                ['index', 'reason']);
+            return;
+        }
+
         let count = 0;
-        for (let r of this.cfg.reasons) {
+        for (let r of this.reasons()) {
             console.log(`${count}: ${r}`);
             count++;
         }
@@ -368,133 +631,413 @@ class IPManage
             return;
         }
 
-        let ip = this.args['_'][3];       
-        
-        let resp = await this.who.lookup(ip);
-        console.log(resp);
+        let ip = String(this.args['_'][3]);
+        let result = await this.lookup(ip, !this.args['nocache']);
+
+        if (this.output) {
+            if (this.output.format == 'json') {
+                this.output.write(Object.assign({ip: ip}, result));
+            } else {
+                let rows = [];
+                for (let source of ['geo', 'whois']) {
+                    for (let [field, value] of Object.entries(result[source] || {})) {
+                        rows.push({source: source, field: field, value: value});
+                    }
+                }
+                this.output.write(rows, ['source', 'field', 'value']);
+            }
+            return;
+        }
+
+        if (result.geo) {
+            console.log(result.geo);
+        }
+        console.log(result.whois);
     }
 
     /**
-     * Do a block.
-     * 
-     * @param   {string}    manIp       Manual IP.
-     * @param   {boolean}   imp         Import?
-     * @param   {string}    dtAdded     Date added.
-     * @param   {number}    days        Days.
+     * Lookup cache maintenance.
      */
-    async doBlock(manIp = null, imp = false, dtAdded = null, days = null)
+    async doCache()
     {
-        let ip = null; 
-
-        if (Number.isInteger(days) && days == 0) {
-            days = 999999;
+        if (!this.who.cache) {
+            syslog.error("The lookup cache is disabled (cfg.lookup.cacheDays is 0).");
+            return;
         }
 
-        if (manIp) {
-            ip = manIp;
-        } else {
-            if (!this.args['_'][3]) {
-                syslog.error("No IP address.");
-                return;
-            }
-
-            ip = this.args['_'][3];
-        }
+        let sub = this.args['_'][3] || 'stats';
 
-        let ports = null;
-        if (this.args['p']) {
-            if (!this.cfg.ports[this.args['p']]) {
-                syslog.error(`No ports definition for '${this.args['p']}'.`);
-                return;
-            } else {
-                ports = this.args['p'];
+        if (sub == 'stats') {
+            let stats = this.who.cache.stats();
+            for (let key of Object.keys(stats)) {
+                console.log(`${key}: ${stats[key]}`);
             }
+        } else if (sub == 'clear') {
+            let count = this.who.cache.entries.length;
+            this.who.cache.clear();
+            syslog.notice(`Cleared ${count} cached lookups.`);
+        } else {
+            syslog.error(`Invalid cache command '${sub}'.`);
         }
+    }
+
+    /**
+     * Show the journal history of an IP.
+     */
+    async doHistory()
+    {
+        let ip = this.args['_'][3];
 
-        let extra = {
-            days: null,
-            country: null,
-            org: null,
+        if (!ip) {
+            syslog.error(`No IP address, CIDR or range specified.`);
+            return;
         }
 
-        if (this.args['d']) {
-            extra.days = this.args['d'];
-        } else if (days) {
-            extra.days = days;
+        if (!IPHelper.parseRange(ip) && !IPHelper.isValid(ip)) {
+            syslog.error(`'${ip}' is not a valid IP address, CIDR or range.`);
+            return;
         }
 
-        if (this.args['r']) {
-            if (Number.isInteger(this.args['r']) && this.args['r'] >= 0) {
-                if (this.cfg.reasons[this.args['r']]) {
-                    extra.reason = this.cfg.reasons[this.args['r']];
-                } else {
-                    syslog.error(`No reason with index ${this.args['r']}`);
-                    return;
-                }
-            } else {
-                extra.reason = this.args['r'];
-            }
+        let entries = this.journal.forIp(ip);
+
+        if (this.output) {
+            this.output.write(entries.map(entry => Object.assign({ports: (entry.after || entry.before).ports}, entry)), 
+                ['dt', 'list', 'action', 'ip', 'ports', 'operator', 'reason', 'command']);
+            syslog.notice(`${entries.length} journal entries for ${ip}.`);
+            return;
         }
 
-        if (this.args['x']) {
-            if (extra.reason) {
-                extra.reason += ' - ' + this.args['x'];
-            } else {
-                extra.reason = this.args['x'];
+        console.log('-'.repeat(30));
+
+        for (let entry of entries) {
+            let line = `${entry.dt} ${entry.list}: ${entry.action} ${entry.ip}`;
+            let item = entry.after || entry.before;
+            if (item.ports) {
+                line += ` (${item.ports})`;
+            }
+            line += ` by ${entry.operator}`;
+            if (entry.reason) {
+                line += `, ${entry.reason}`;
             }
+            line += ` [${entry.command}]`;
+            console.log(line);
         }
 
-        if (dtAdded) {
-            extra.dtAdded = dtAdded;
-        }
+        console.log('-'.repeat(30));
+        syslog.notice(`${entries.length} journal entries for ${ip}.`);
+    }
 
-        // Look up the address.
-        let who = null;
-        if (ip.indexOf('/') == -1) {
-            who = await this.who.lookup(ip);
-        } else {
-            let ipExtract = ip.substring(0, ip.indexOf('/'));
-            who = await this.who.lookup(ipExtract);
-        }
+    /**
+     * Validate the list files.
+     */
+    async doValidate()
+    {
+        let bad = 0;
 
-        if (this.cfg.lookup) {
-            if (this.cfg.lookup.countryFields) {
-                for (let c of this.cfg.lookup.countryFields) {
-                    if (who[c]) {
-                        extra.country = who[c].toUpperCase();
-                        break;
-                    }
-                }
+        for (let list of [this.blocks, this.allows]) {
+            let problems = await list.validate();
+            if (problems === null) {
+                bad++;
+                continue;
             }
-            if (this.cfg.lookup.orgFields) {
-                for (let o of this.cfg.lookup.orgFields) {
-                    if (who[o] && !who[o].startsWith('***')) {
-                        extra.org = who[o];
-                        break;
-                    }
-                }
+
+            for (let p of problems) {
+                let fixable = (p.fix) ? 'fixable' : 'needs attention';
+                console.log(`${list.name} entry ${p.index} (${p.ip}): ${p.problem} [${fixable}]`);
             }
-        }
 
-        if (!extra.days && this.cfg.countryBlockDays && extra.country && this.cfg.countryBlockDays[extra.country]) {
-            extra.days = this.cfg.countryBlockDays[extra.country];
+            if (problems.length == 0) {
+                syslog.notice(`The '${list.name}' list is valid.`);
+            } else {
+                syslog.warning(`${problems.length} problems in the '${list.name}' list, ` + 
+                    `${problems.filter(p => p.fix).length} of which 'repair' can fix.`);
+                bad++;
+            }
         }
 
-        if (!extra.country) {
-            syslog.warning(`No country found for ${ip}.`);
+        if (bad > 0) {
+            process.exitCode = 1;
         }
+    }
+
+    /**
+     * Repair the list files.
+     */
+    async doRepair()
+    {
+        for (let list of [this.blocks, this.allows]) {
+            let result = await list.repair();
+            if (result === null) {
+                syslog.error(`Cannot repair the '${list.name}' list automatically. ` + 
+                    `Use 'undo' or 'restore --at' to go back to a snapshot.`);
+                process.exitCode = 1;
+                continue;
+            }
 
-        await this.blocks.add(ip, ports, extra, imp);
+            for (let p of result.fixed) {
+                console.log(`${list.name} entry ${p.index} (${p.ip}): fixed: ${p.problem}`);
+            }
+            for (let p of result.dropped) {
+                console.log(`${list.name} entry ${p.index} (${p.ip}): removed: ${p.problem}`);
+            }
+            for (let p of result.unfixed) {
+                console.log(`${list.name} entry ${p.index} (${p.ip}): not fixed: ${p.problem}`);
+            }
 
+            syslog.notice(`'${list.name}' list: ${result.fixed.length} fixed, ${result.dropped.length} removed, ` + 
+                `${result.unfixed.length} need attention.`);
+        }
     }
 
     /**
-     * Import a list of blocks.
+     * Copy the lists to another storage type.
      */
-    async doImportBlocks()
+    async doMigrateStorage()
     {
-        if (!this.args['_'][3]) {
-            syslog.error("No file name.");
+        let from = IPList.storageType(this.cfg);
+        let to = this.args['to'];
+
+        if (!to || !storages[to]) {
+            syslog.error(`Specify the storage type to migrate to with --to [${Object.keys(storages).join('|')}].`);
+            return;
+        }
+
+        if (to == from) {
+            syslog.error(`The lists are already stored as '${to}'.`);
+            return;
+        }
+
+        for (let list of [this.blocks, this.allows]) {
+            let base = path.basename(list.filePath, storages[from].extension);
+            let dest = path.join(path.dirname(list.filePath), base + storages[to].extension);
+            let target = new storages[to](dest, {writeWorking: this.cfg.writeWorking});
+
+            if (target.exists() && !this.args['force']) {
+                syslog.error(`'${dest}' already exists, use --force to overwrite it.`);
+                return;
+            }
+
+            try {
+                await target.save(list.items);
+                syslog.notice(`Copied ${list.items.length} entries of the '${list.name}' list to: ${dest}.`);
+            } catch (err) {
+                syslog.error(`Failed to copy the '${list.name}' list to '${dest}':  ${err.message}`);
+                return;
+            } finally {
+                target.close();
+            }
+
+            // Snapshots too, so undo and restore still work after the switch.
+            let copied = 0;
+            let snaps = this.snapshots.list(list.filePath);
+            for (let snap of snaps) {
+                let snapTarget = new storages[to](this.snapshots.fileFor(dest, snap.dt), {writeWorking: this.cfg.writeWorking});
+                try {
+                    await snapTarget.save(await list.loadRaw(snap.file));
+                    copied++;
+                } catch (err) {
+                    syslog.warning(`Failed to copy snapshot '${snap.file}':  ${err.message}`);
+                } finally {
+                    snapTarget.close();
+                }
+            }
+            if (snaps.length > 0) {
+                syslog.notice(`Copied ${copied} of ${snaps.length} snapshots of the '${list.name}' list.`);
+            }
+        }
+
+        syslog.notice(`Set 'storage: { type: '${to}' }' in the config to use the new storage.`);
+    }
+
+    /**
+     * Undo the last change to either list.
+     * 
+     * The latest snapshot not yet undone is put back and marked as undone, so each undo
+     * goes back one more change. Snapshots are kept, so 'restore --at' can still use them.
+     */
+    async doUndo()
+    {
+        let latest = null;
+        for (let list of [this.blocks, this.allows]) {
+            for (let snap of this.snapshots.list(list.filePath)) {
+                if (!this.snapshots.isUndone(snap) && (!latest || snap.dt > latest.snap.dt)) {
+                    latest = {list: list, snap: snap};
+                }
+            }
+        }
+
+        if (!latest) {
+            syslog.error(`No snapshots left to undo.`);
+            return;
+        }
+
+        let list = latest.list;
+        let snap = latest.snap;
+
+        let items = null;
+        try {
+            items = await list.loadFile(snap.file);
+        } catch (err) {
+            syslog.error(`Failed to read snapshot '${snap.file}':  ${err.message}`);
+            return;
+        }
+
+        let counts = await list.replace(items, 'undo', `Undo to ${snap.dt.toISOString()}`);
+
+        // Undo must not snapshot the state it is undoing.
+        list.snapshotTaken = true;
+        await list.write();
+        this.snapshots.markUndone(snap);
+
+        syslog.notice(`The '${list.name}' list put back as it was at ${snap.dt.toISOString()} ` + 
+            `(${counts.added} entries back, ${counts.removed} entries gone).`);
+    }
+
+    /**
+     * Restore the lists as they were at a given time.
+     */
+    async doRestore()
+    {
+        if (!this.args['at']) {
+            syslog.error(`No time given, use --at [timestamp].`);
+            return;
+        }
+
+        let at = new Date(String(this.args['at']));
+        if (isNaN(at)) {
+            syslog.error(`'${this.args['at']}' is not a valid timestamp.`);
+            return;
+        }
+
+        for (let list of [this.blocks, this.allows]) {
+            let snaps = this.snapshots.list(list.filePath);
+            if (snaps.length == 0) {
+                syslog.notice(`No snapshots of the '${list.name}' list, nothing to restore.`);
+                continue;
+            }
+
+            // Each snapshot holds the list as it was until the write that took it, so
+            // the first one after the time wanted is the list at that time.
+            if (at < snaps[0].dt) {
+                syslog.error(`Cannot restore the '${list.name}' list to ${at.toISOString()}, ` +
+                    `the oldest snapshot is from ${snaps[0].dt.toISOString()}.`);
+                continue;
+            }
+
+            let snap = snaps.find(s => s.dt > at);
+            if (!snap) {
+                syslog.notice(`The '${list.name}' list has not changed since ${at.toISOString()}, nothing to restore.`);
+                continue;
+            }
+
+            let items = null;
+            try {
+                items = await list.loadFile(snap.file);
+            } catch (err) {
+                syslog.error(`Failed to read snapshot '${snap.file}':  ${err.message}`);
+                continue;
+            }
+
+            let counts = await list.replace(items, 'restore', `Restore to ${at.toISOString()}`);
+            await list.write();
+
+            syslog.notice(`The '${list.name}' list restored as it was at ${at.toISOString()} ` + 
+                `(${counts.added} entries back, ${counts.removed} entries gone).`);
+        }
+    }
+
+    /**
+     * Do a block.
+     * 
+     * @param   {string}    manIp       Manual IP.
+     * @param   {boolean}   imp         Import?
+     * @param   {string}    dtAdded     Date added.
+     * @param   {number}    days        Days.
+     * @param   {string}    ports       Ports identifier (instead of -p).
+     * @param   {string}    reason      Reason (instead of -r and -x).
+     */
+    async doBlock(manIp = null, imp = false, dtAdded = null, days = null, ports = null, reason = null)
+    {
+        let ip = null; 
+
+        if (Number.isInteger(days) && days == 0) {
+            days = 999999;
+        }
+
+        if (manIp) {
+            ip = manIp;
+        } else {
+            if (!this.args['_'][3]) {
+                syslog.error("No IP address.");
+                return;
+            }
+
+            ip = this.args['_'][3];
+        }
+
+        if (!reason) {
+            reason = this._argReason();
+        }
+        if (reason === false) {
+            return;
+        }
+
+        try {
+            await this.block(ip, {
+                ports: ports || this.args['p'] || null,
+                days: this.args['d'] || days,
+                reason: reason,
+                dtAdded: dtAdded,
+                netrange: this.args['netrange'],
+                force: this.args['force'],
+                imp: imp,
+            });
+        } catch (err) {
+            syslog.error(err.message);
+            process.exitCode = 1;
+        }
+    }
+
+    /**
+     * Get the reason from the command line (-r reasonid|reason and -x reasonextra).
+     * 
+     * @return  {string|null|boolean}   Reason, null if none or false on error.
+     */
+    _argReason()
+    {
+        let reason = null;
+
+        if (this.args['r']) {
+            if (Number.isInteger(this.args['r']) && this.args['r'] >= 0) {
+                if (this.cfg.reasons[this.args['r']]) {
+                    reason = this.cfg.reasons[this.args['r']];
+                } else {
+                    syslog.error(`No reason with index ${this.args['r']}`);
+                    return false;
+                }
+            } else {
+                reason = this.args['r'];
+            }
+        }
+
+        if (this.args['x']) {
+            if (reason) {
+                reason += ' - ' + this.args['x'];
+            } else {
+                reason = this.args['x'];
+            }
+        }
+
+        return reason;
+    }
+
+    /**
+     * Import a list of blocks.
+     */
+    async doImportBlocks()
+    {
+        if (!this.args['_'][3]) {
+            syslog.error("No file name.");
             return;
         }
 
@@ -516,7 +1059,7 @@ class IPManage
         }
 
         this.blocks.sortByIP();
-        this.blocks.write();
+        await this.blocks.write();
 
         syslog.notice(`Attempted to import ${count} records.`)
     }
@@ -573,15 +1116,474 @@ class IPManage
         }
 
         this.blocks.sortByIP();
-        this.blocks.write();
+        await this.blocks.write();
 
         syslog.notice(`Attempted to import ${count} records.`)
     }
 
+    /**
+     * Block every prefix announced by an ASN.
+     */
+    async doBlockAsn()
+    {
+        let asn = this._argAsn();
+        if (!asn) {
+            return;
+        }
+
+        await this._blockAsns([{
+            asn: asn, 
+            name: await this.prefixes.nameOf(asn),
+        }]);
+    }
+
+    /**
+     * Block every prefix announced by the ASNs of an organisation.
+     */
+    async doBlockOrg()
+    {
+        let pattern = this.args['_'][3];
+        if (!pattern) {
+            syslog.error("No organisation pattern.");
+            return;
+        }
+
+        let matches = await this.prefixes.findOrg(String(pattern));
+        if (matches.length == 0) {
+            syslog.error(`No ASNs with names matching '${pattern}'.`);
+            return;
+        }
+
+        for (let match of matches) {
+            console.log(`AS${match.asn} ${match.name}`);
+        }
+
+        if (matches.length > 1 && !this.args['all']) {
+            syslog.error(`'${pattern}' matches ${matches.length} ASNs. Narrow the pattern or use --all to block them all.`);
+            return;
+        }
+
+        await this._blockAsns(matches);
+    }
+
+    /**
+     * Unblock everything blocked for an ASN.
+     */
+    async doUnblockAsn()
+    {
+        let asn = this._argAsn();
+        if (!asn) {
+            return;
+        }
+
+        await this.blocks.removeGroup(`AS${asn}`);
+    }
+
+    /**
+     * Get the ASN argument.
+     * 
+     * @return  {number|null}   ASN or null if missing or invalid.
+     */
+    _argAsn()
+    {
+        let arg = this.args['_'][3];
+        if (!arg) {
+            syslog.error("No ASN.");
+            return null;
+        }
+
+        let asn = Number(String(arg).replace(/^AS/i, ''));
+        if (!Number.isInteger(asn) || asn <= 0) {
+            syslog.error(`'${arg}' is not a valid ASN.`);
+            return null;
+        }
+
+        return asn;
+    }
+
+    /**
+     * Block the prefixes of some ASNs, each ASN as a group.
+     * 
+     * @param   {object[]}  asns    ASNs as { asn, name }.
+     */
+    async _blockAsns(asns)
+    {
+        let ports = null;
+        if (this.args['p']) {
+            if (!this.cfg.ports[this.args['p']]) {
+                syslog.error(`No ports definition for '${this.args['p']}'.`);
+                return;
+            }
+            ports = this.args['p'];
+        }
+
+        let reason = this._argReason();
+        if (reason === false) {
+            return;
+        }
+
+        let prefixes = await this.prefixes.prefixesFor(asns.map(a => a.asn));
+        let total = 0;
+
+        for (let {asn, name} of asns) {
+            let cidrs = prefixes.get(asn);
+            let group = `AS${asn}`;
+            let added = 0;
+
+            if (cidrs.length == 0) {
+                syslog.warning(`No prefixes found for AS${asn}.`);
+                continue;
+            }
+
+            for (let cidr of cidrs) {
+                let allowed = await this.allows.findOverlaps(cidr);
+                if (allowed.length > 0) {
+                    syslog.warning(`${cidr} (AS${asn}) overlaps allowlisted entry ${allowed[0].ip}.`);
+                    if (!this.args['force'] && this.cfg.allowConflict != 'warn') {
+                        syslog.warning(`Skipping ${cidr}. Use --force to block it anyway.`);
+                        continue;
+                    }
+                }
+
+                let extra = {
+                    asn: asn,
+                    org: name,
+                    group: group,
+                    reason: reason || `AS${asn}` + ((name) ? ` ${name}` : ''),
+                };
+
+                if (this.args['d']) {
+                    extra.days = this.args['d'];
+                    extra.escalate = false;
+                }
+
+                if (this.geo) {
+                    extra.country = (await this.geo.lookup(cidr.split('/')[0])).country;
+                }
+
+                if (await this.blocks.add(cidr, ports, extra, true)) {
+                    added++;
+                }
+            }
+
+            syslog.notice(`Blocked ${added} of ${cidrs.length} prefixes announced by AS${asn}` + 
+                ((name) ? ` (${name})` : '') + ` as group ${group}.`);
+            total += added;
+        }
+
+        if (total > 0) {
+            await this.blocks.write();
+        }
+    }
+
+    /**
+     * Block all the address space delegated to a country, as a set.
+     */
+    async doBlockCountry()
+    {
+        let cc = this._argCountry();
+        if (!cc) {
+            return;
+        }
+
+        let ports = this.args['ports'] || this.args['p'] || null;
+        if (ports && !this.cfg.ports[ports]) {
+            syslog.error(`No ports definition for '${ports}'.`);
+            return;
+        }
+
+        let reason = this._argReason();
+        if (reason === false) {
+            return;
+        }
+
+        let days = this.args['d'];
+        if (!days) {
+            days = (this.cfg.countryBlockDays && this.cfg.countryBlockDays[cc]) ? this.cfg.countryBlockDays[cc] : 999999;
+        }
+
+        let set = {
+            ports: ports,
+            days: days,
+            reason: reason || `Country ${cc}`,
+            force: (this.args['force']) ? true : false,
+        };
+
+        if (this.countrySets.get(cc)) {
+            syslog.notice(`${cc} is already blocked as a set, rebuilding it with these options.`);
+        }
+
+        await this._syncCountry(cc, set);
+    }
+
+    /**
+     * Unblock a country blocked as a set.
+     */
+    async doUnblockCountry()
+    {
+        let cc = this._argCountry();
+        if (!cc || !this._countrySetsReadable()) {
+            return;
+        }
+
+        if (!this.countrySets.get(cc)) {
+            syslog.warning(`${cc} is not blocked as a set.`);
+        }
+
+        await this.blocks.removeGroup(`country:${cc}`);
+        this.countrySets.delete(cc);
+    }
+
+    /**
+     * Rebuild the country sets whose delegated statistics files have changed.
+     * 
+     * All sets are rebuilt with --all.
+     */
+    async doRefreshCountries()
+    {
+        if (!this._countrySetsReadable()) {
+            return;
+        }
+
+        let signature = this.prefixes.delegatedSignature();
+
+        for (let cc of this.countrySets.countries()) {
+            let set = this.countrySets.get(cc);
+            if (set.signature == signature && !this.args['all']) {
+                syslog.trace('IPManage:doRefreshCountries', `Country set ${cc} is up to date.`);
+                continue;
+            }
+            syslog.notice(`Refreshing country set ${cc}.`);
+            await this._syncCountry(cc, set);
+        }
+    }
+
+    /**
+     * Make sure the country sets file was read, before changing anything that depends on it.
+     * 
+     * @return  {boolean}   True if it was, else false.
+     */
+    _countrySetsReadable()
+    {
+        if (this.countrySets.corrupt) {
+            syslog.error(`Refusing to change country sets as '${this.countrySets.filePath}' cannot be read: ` +
+                `${this.countrySets.corrupt}`);
+            process.exitCode = 1;
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Get the country code argument.
+     * 
+     * @return  {string|null}   Country code (upper case) or null if missing or invalid.
+     */
+    _argCountry()
+    {
+        let arg = this.args['_'][3];
+        if (!arg) {
+            syslog.error("No country code.");
+            return null;
+        }
+
+        let cc = String(arg).toUpperCase();
+        if (!/^[A-Z]{2}$/.test(cc)) {
+            syslog.error(`'${arg}' is not a valid country code.`);
+            return null;
+        }
+
+        return cc;
+    }
+
+    /**
+     * Bring the entries of a country set into line with the delegated statistics files.
+     * 
+     * Entries no longer delegated to the country (or blocked with other ports) are
+     * removed and newly delegated prefixes are added, all in group 'country:<cc>'.
+     * 
+     * @param   {string}    cc      Country code.
+     * @param   {object}    set     Set as { ports, days, reason, force }.
+     * @return  {boolean}           True if the set was built.
+     */
+    async _syncCountry(cc, set)
+    {
+        if (!this._countrySetsReadable()) {
+            return false;
+        }
+
+        let signature = this.prefixes.delegatedSignature();
+        let cidrs = await this.prefixes.countryPrefixes(cc);
+        if (cidrs.length == 0) {
+            syslog.error(`No delegated address space found for ${cc}.`);
+            return false;
+        }
+
+        let group = `country:${cc}`;
+        let wanted = new Set(cidrs.map(cidr => IPHelper.normalise(cidr)));
+
+        let current = this.blocks.items.filter(item => !item.status && item.group == group);
+        let stale = current.filter(item => !wanted.has(item.ip) || (item.ports || null) != set.ports);
+        let have = new Set(current.filter(item => !stale.includes(item)).map(item => item.ip));
+
+        if (stale.length > 0) {
+            await this.blocks.removeEntries(stale, `Country set ${cc} refreshed`, true);
+        }
+
+        let added = 0;
+        let skipped = 0;
+
+        for (let cidr of wanted) {
+            if (have.has(cidr)) {
+                continue;
+            }
+
+            let allowed = await this.allows.findOverlaps(cidr);
+            if (allowed.length > 0) {
+                syslog.warning(`${cidr} (${cc}) overlaps allowlisted entry ${allowed[0].ip}.`);
+                if (!set.force && this.cfg.allowConflict != 'warn') {
+                    syslog.warning(`Skipping ${cidr}. Use --force to block it anyway.`);
+                    skipped++;
+                    continue;
+                }
+            }
+
+            let extra = {
+                country: cc,
+                group: group,
+                reason: set.reason,
+                days: set.days,
+                escalate: false,
+            };
+
+            if (await this.blocks.add(cidr, set.ports, extra, true)) {
+                added++;
+            } else {
+                skipped++;
+            }
+        }
+
+        if (added > 0 || stale.length > 0) {
+            await this.blocks.write();
+        }
+
+        set.signature = signature;
+        set.dtBuilt = new Date().toISOString();
+        set.count = wanted.size;
+        this.countrySets.set(cc, set);
+
+        syslog.notice(`Country set ${cc}: ${wanted.size} prefixes, ${added} added, ${stale.length} removed, ` +
+            `${skipped} skipped, as group ${group}.`);
+
+        return true;
+    }
+
+    /**
+     * Ingest a log file, finding addresses to block.
+     * 
+     * Candidates are printed, or blocked with --block.
+     */
+    async doIngest()
+    {
+        if (!this.args['_'][3]) {
+            syslog.error("No log file name.");
+            return;
+        }
+
+        let fp = path.resolve(this.args['_'][3]);
+        if (!fs.existsSync(fp)) {
+            syslog.error(`Log file ${fp} not found.`);
+            return;
+        }
+
+        let name = this.args['parser'];
+        if (!name || !parsers[name]) {
+            syslog.error(`Specify a parser with --parser [${Object.keys(parsers).join('|')}].`);
+            return;
+        }
+
+        let ingester = new Ingester(this.cfg);
+        let rules = ingester.rules(name);
+        if (!rules) {
+            return;
+        }
+
+        let parserOpts = (this.cfg.ingest && this.cfg.ingest.parsers) ? this.cfg.ingest.parsers[name] : {};
+        let events = await ingester.read(fp, new parsers[name](parserOpts));
+        let candidates = ingester.evaluate(events, rules).sort((a, b) => IPHelper.compare(IPHelper.toDec(a.ip), IPHelper.toDec(b.ip)));
+
+        console.log('-'.repeat(30));
+
+        let count = 0;
+        let skipped = 0;
+        for (let cand of candidates) {
+            let ports = cand.rule.ports || null;
+
+            if (await this.blocks.isCovered(cand.ip, ports)) {
+                skipped++;
+                continue;
+            }
+
+            let line = (`${count}: ${cand.ip}` + ((ports) ? ` (${ports})` : '')).padEnd(29);
+            line += ` # ${cand.count} offences ${cand.first.toISOString()} - ${cand.last.toISOString()}, ${cand.rule.reason}`;
+            if ((await this.allows.findOverlaps(cand.ip)).length > 0) {
+                line += ', ALLOWLISTED';
+            }
+            console.log(line);
+            count++;
+
+            if (this.args['block']) {
+                await this.doBlock(cand.ip, true, null, cand.rule.days || null, ports, cand.rule.reason);
+            }
+        }
+
+        console.log('-'.repeat(30));
+
+        if (this.args['block'] && count > 0) {
+            await this.blocks.write();
+        }
+
+        syslog.notice(`${count} candidates, ${skipped} already covered.` + 
+            ((this.args['block'] || count == 0) ? '' : ' Use --block to block them.'));
+    }
+
     /**
      * Do an ublock.
      */
     async doUnblock()
+    {
+        if (this.args['g']) {
+            await this.doUnblockGroup(String(this.args['g']));
+            return;
+        }
+
+        if (!this.args['_'][3]) {
+            syslog.error("No IP address.");
+            return;
+        }
+
+        try {
+            await this.unblock(this.args['_'][3], this.args['p'] || null);
+        } catch (err) {
+            syslog.error(err.message);
+            process.exitCode = 1;
+        }
+    }
+
+    /**
+     * Unblock a group.
+     * 
+     * @param   {string}    group   Group ID.
+     */
+    async doUnblockGroup(group)
+    {
+        await this.blocks.removeGroup(group);
+    }
+
+    /**
+     * Add to the allowlist.
+     */
+    async doAllow()
     {
         if (!this.args['_'][3]) {
             syslog.error("No IP address.");
@@ -590,6 +1592,11 @@ class IPManage
 
         let ip = this.args['_'][3];
 
+        if (!this.allows.isValid(ip)) {
+            syslog.error(`'${ip}' is not a valid IP address or CIDR.`);
+            return;
+        }
+
         let ports = null;
         if (this.args['p']) {
             if (!this.cfg.ports[this.args['p']]) {
@@ -600,8 +1607,53 @@ class IPManage
             }
         }
 
-        await this.blocks.remove(ip, ports);
+        let extra = {};
 
+        let reason = this._argReason();
+        if (reason === false) {
+            return;
+        } else if (reason) {
+            extra.reason = reason;
+        }
+
+        for (let entry of await this.blocks.findOverlaps(ip)) {
+            syslog.warning(`${ip} overlaps blocked entry ${entry.ip} (${entry.dtAdded}). Unblock it if it should not be blocked.`);
+        }
+
+        await this.allows.add(ip, ports, extra);
+    }
+
+    /**
+     * Remove from the allowlist.
+     */
+    async doDisallow()
+    {
+        if (!this.args['_'][3]) {
+            syslog.error("No IP address.");
+            return;
+        }
+
+        let ip = this.args['_'][3];
+
+        let ports = null;
+        if (this.args['p']) {
+            if (!this.cfg.ports[this.args['p']]) {
+                syslog.error(`No ports definition for '${this.args['p']}'.`);
+                return;
+            } else {
+                ports = this.args['p'];
+            }
+        }
+
+        await this.allows.remove(ip, ports);
+    }
+
+    /**
+     * Allowlist.
+     */
+    async doAllowList()
+    {
+        this._show(this.allows, await this.allowList());
     }
 
     /**
@@ -609,7 +1661,7 @@ class IPManage
      */
     async doExpire()
     {
-        this.blocks.removeExpired();
+        await this.expire();
     }
 
     /**
@@ -619,7 +1671,7 @@ class IPManage
      */
     async doBlockList(status = -1)
     {
-        this.blocks.list(status);
+        this._show(this.blocks, await this.list(status, (this.args['g']) ? String(this.args['g']) : null));
     }
 
     /**
@@ -631,7 +1683,7 @@ class IPManage
             syslog.error("No IP address mask.");
             return;
         }
-        this.blocks.findIp(this.args['_'][3]);
+        this._show(this.blocks, await this.find(String(this.args['_'][3])));
     }
 
     /**
@@ -643,7 +1695,173 @@ class IPManage
             syslog.error("No country for old men.");
             return;
         }
-        this.blocks.findCountry(this.args['_'][3]);
+        this._show(this.blocks, await this.findCountry(String(this.args['_'][3])));
+    }
+
+    /**
+     * Query the blocks with combined filters.
+     */
+    async doQuery()
+    {
+        let filters = {
+            contains: this.args['contains'],
+            reason: this.args['reason'],
+            org: this.args['org'],
+            country: this.args['country'],
+            ports: this.args['ports'] || this.args['p'],
+            group: this.args['g'],
+            before: this.args['before'],
+            after: this.args['after'],
+            expiring: this.args['expiring'],
+            status: this.args['status'],
+        };
+
+        for (let key of Object.keys(filters)) {
+            if (filters[key] === undefined) {
+                delete filters[key];
+            } else if (key != 'expiring') {
+                filters[key] = String(filters[key]);
+            }
+        }
+
+        let result = null;
+        try {
+            result = await this.query(filters, {
+                sort: this.args['sort'],
+                reverse: this.args['reverse'],
+                offset: this.args['offset'],
+                limit: this.args['limit'],
+            });
+        } catch (err) {
+            syslog.error(err.message);
+            process.exitCode = 1;
+            return;
+        }
+
+        this._show(this.blocks, result.items);
+        syslog.notice(`${result.items.length} of ${result.total} matching entries shown.`);
+    }
+
+    /**
+     * Check whether an IP is blocked, and why.
+     * 
+     * The exit code is 0 if it is blocked, 1 if not and 2 on error.
+     */
+    async doCheck()
+    {
+        if (!this.args['_'][3]) {
+            syslog.error("No IP address.");
+            process.exitCode = 2;
+            return;
+        }
+
+        let result = null;
+        try {
+            result = await this.check(String(this.args['_'][3]), 
+                (this.args['port'] !== undefined) ? this.args['port'] : null);
+        } catch (err) {
+            syslog.error(err.message);
+            process.exitCode = 2;
+            return;
+        }
+
+        process.exitCode = (result.blocked) ? 0 : 1;
+
+        if (this.output) {
+            if (this.output.format == 'json') {
+                this.output.write(result);
+            } else {
+                let rows = [];
+                for (let key of ['blocks', 'otherPorts', 'expired', 'allows']) {
+                    rows.push(...result[key].map(item => Object.assign({match: key}, item)));
+                }
+                this.output.write(rows, ['match'].concat(ENTRY_COLUMNS));
+            }
+            return;
+        }
+
+        let on = (result.port) ? ` on port ${result.port}` : '';
+        console.log(`${result.ip} is ${(result.blocked) ? 'BLOCKED' : 'not blocked'}${on}.`);
+
+        if (result.blocks.length > 0) {
+            this.blocks.print(result.blocks);
+            for (let group of new Set(result.blocks.map(item => item.ports))) {
+                if (group) {
+                    let def = this.blocks.portsOf({ports: group});
+                    console.log(`Ports group '${group}': ${def.ports.map(p => (p.from == p.to) ? p.from : `${p.from}-${p.to}`).join(',')} (${def.proto}).`);
+                } else {
+                    console.log(`Blocked on all ports.`);
+                }
+            }
+        }
+
+        if (result.otherPorts.length > 0) {
+            console.log(`Blocked on other ports:`);
+            this.blocks.print(result.otherPorts);
+        }
+
+        if (result.allows.length > 0) {
+            console.log(`Also allowlisted (the allowlist takes precedence in the firewall):`);
+            this.allows.print(result.allows);
+        }
+
+        if (result.expired.length > 0) {
+            console.log(`Expired blocks:`);
+            this.blocks.print(result.expired);
+        }
+    }
+
+    /**
+     * Report on the block list.
+     */
+    async doReport()
+    {
+        let stats = await this.stats({
+            weeks: Number(this.args['weeks']) || 12,
+            top: Number(this.args['top']) || 10,
+        });
+
+        if (this.output) {
+            this.output.write(stats);
+            return;
+        }
+
+        let format = this.args['format'] || 'text';
+        if (!reports[format]) {
+            syslog.error(`Invalid report format '${format}' (use ${Object.keys(reports).join(', ')}).`);
+            process.exitCode = 1;
+            return;
+        }
+
+        let final = new reports[format](stats).render();
+
+        if (!this.args['o']) {
+            process.stdout.write(final);
+            return;
+        }
+
+        let fp = path.resolve(this.dataPath, String(this.args['o']));
+        try {
+            fs.writeFileSync(fp, final);
+            syslog.notice(`Successfully wrote report to: ${fp}.`);
+        } catch (err) {
+            syslog.error(`Failed to write to '${fp}':  ${err.message}`);
+        }
+    }
+
+    /**
+     * Show list entries, as text or in the output format asked for.
+     * 
+     * @param   {IPList}    list    List they are from.
+     * @param   {object[]}  items   Entries (described).
+     */
+    _show(list, items)
+    {
+        if (this.output) {
+            this.output.write(items, ENTRY_COLUMNS);
+        } else {
+            list.print(items);
+        }
     }
 
     /**
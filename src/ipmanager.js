@@ -0,0 +1,513 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      IPManager
+ * @author      Gordon Ansell   <contact@gordonansell.com> 
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const WhoIsHelper = require("./whoishelper");
+const IPHelper = require("./iphelper");
+const syslog = require("greenhat-util/syslog");
+const path = require("path");
+const crypto = require("crypto");
+const IPList = require('./iplist');
+const LookupCache = require('./lookupcache');
+const GeoIPHelper = require('./geoiphelper');
+const Journal = require('./journal');
+const Snapshots = require('./snapshots');
+const LockFile = require('./lockfile');
+const storages = require('./storage');
+const PrefixData = require('./prefixdata');
+const CountrySets = require('./countrysets');
+const BlockStats = require('./blockstats');
+
+/**
+ * Programmatic interface to the lists.
+ *
+ * Nothing here reads the command line or prints results: entries come back described
+ * (see IPList.describe) and refusals are thrown as errors with 'refused' set. For example:
+ *
+ *      const IPManager = require('greenhat-ip-manager');
+ *      let ipm = new IPManager('/etc/ipmanager', require('/etc/ipmanager/config.js'));
+ *      await ipm.open();
+ *      let added = await ipm.block('203.0.113.0/24', {reason: 'Scanning', days: 7});
+ *      ipm.close();
+ *
+ * Changes are not locked against other instances; hold 'lock' around them if the
+ * command line or a server may be running at the same time.
+ */
+class IPManager
+{
+    /**
+     * Constructor.
+     *
+     * @param   {string}    dataPath    Data directory.
+     * @param   {object}    cfg         Configs.
+     * @param   {object}    lists       List instances to use as { blocks, allows } (optional).
+     */
+    constructor(dataPath, cfg, lists = {})
+    {
+        this.dataPath = dataPath;
+        this.cfg = cfg;
+
+        this.who = new WhoIsHelper(this.cfg);
+
+        let cacheDays = (this.cfg.lookup && this.cfg.lookup.cacheDays !== undefined) ? this.cfg.lookup.cacheDays : 7;
+        if (cacheDays > 0) {
+            this.who.cache = new LookupCache(path.join(this.dataPath, 'lookupcache.json'), cacheDays);
+        }
+
+        this.geo = null;
+        if (this.cfg.geoip) {
+            this.geo = new GeoIPHelper(
+                (this.cfg.geoip.countryDb) ? path.resolve(this.dataPath, this.cfg.geoip.countryDb) : null,
+                (this.cfg.geoip.asnDb) ? path.resolve(this.dataPath, this.cfg.geoip.asnDb) : null
+            );
+        }
+
+        let ext = storages[IPList.storageType(this.cfg)].extension;
+
+        this.blocks = lists.blocks || new IPList('Blocks', path.join(this.dataPath, 'blocks' + ext), this.cfg, 
+            this.cfg.readWorking, this.cfg.writeWorking);
+
+        this.allows = lists.allows || new IPList('Allows', path.join(this.dataPath, 'allows' + ext), this.cfg, 
+            this.cfg.readWorking, this.cfg.writeWorking);
+        this.allows.expires = false;
+        this.allows.optional = true;
+
+        this.journal = new Journal(path.join(this.dataPath, 'journal.jsonl'));
+
+        let snapCfg = this.cfg.snapshots || {};
+        this.snapshots = new Snapshots(path.resolve(this.dataPath, snapCfg.dir || 'snapshots'),
+            (snapCfg.keep !== undefined) ? snapCfg.keep : 50);
+
+        for (let list of [this.blocks, this.allows]) {
+            if (!list.journal) {
+                list.journal = this.journal;
+            }
+            if (!list.snapshots) {
+                list.snapshots = this.snapshots;
+            }
+        }
+
+        this.prefixes = new PrefixData(this.cfg, this.dataPath);
+        this.countrySets = new CountrySets(path.join(this.dataPath, 'countrysets.json'));
+
+        this.lock = new LockFile(path.join(this.dataPath, 'ipmanager.lock'), 
+            (this.cfg.lockTimeout !== undefined) ? this.cfg.lockTimeout : 30);
+    }
+
+    /**
+     * Read the lists.
+     *
+     * @return  {boolean}   True if both were read, false if either is corrupt.
+     */
+    async open()
+    {
+        await Promise.all([this.blocks.read(), this.allows.read()]);
+        return !this.blocks.corrupt && !this.allows.corrupt;
+    }
+
+    /**
+     * Save the lookup cache and release the lists' storage.
+     */
+    close()
+    {
+        if (this.who.cache) {
+            this.who.cache.save();
+        }
+        this.blocks.storage.close();
+        this.allows.storage.close();
+    }
+
+    /**
+     * List the blocks.
+     *
+     * @param   {number}    status  Status of records to list (-1 for active ones).
+     * @param   {string}    group   Only list this group.
+     * @return  {object[]}          Entries (described), in IP order.
+     */
+    async list(status = -1, group = null)
+    {
+        return this.blocks.select(status, group).map(item => this.blocks.describe(item));
+    }
+
+    /**
+     * List the allows.
+     *
+     * @return  {object[]}  Entries (described), in IP order.
+     */
+    async allowList()
+    {
+        return this.allows.select().map(item => this.allows.describe(item));
+    }
+
+    /**
+     * Find the blocks matching an IP.
+     *
+     * @param   {string}    ip      IP, CIDR, 'from-to' range or mask to match the start of entries.
+     * @return  {object[]}          Entries (described).
+     */
+    async find(ip)
+    {
+        return this.blocks.find(ip).map(item => this.blocks.describe(item));
+    }
+
+    /**
+     * Find the blocks for a country.
+     *
+     * @param   {string}    cc      Country code.
+     * @return  {object[]}          Entries (described).
+     */
+    async findCountry(cc)
+    {
+        return this.blocks.inCountry(cc).map(item => this.blocks.describe(item));
+    }
+
+    /**
+     * Query the blocks.
+     *
+     * @param   {object}    filters     Filters (see IPList.query).
+     * @param   {object}    opts        Sorting and paging as { sort, reverse, offset, limit }.
+     * @return  {object}                { total, items } with the entries described.
+     * @throws  {Error}                 If a filter or option is invalid.
+     */
+    async query(filters = {}, opts = {})
+    {
+        let result = this.blocks.query(filters, opts);
+        result.items = result.items.map(item => this.blocks.describe(item));
+        return result;
+    }
+
+    /**
+     * Get summary statistics for the blocks.
+     *
+     * @param   {object}    opts    Options as { weeks, top } (see BlockStats.compute).
+     * @return  {object}            Statistics.
+     */
+    async stats(opts = {})
+    {
+        return new BlockStats(this.blocks, this.blocks.journal).compute(opts);
+    }
+
+    /**
+     * Expire the blocks that are due.
+     *
+     * @return  {object[]}  Entries expired (described).
+     */
+    async expire()
+    {
+        return (await this.blocks.removeExpired()).map(item => this.blocks.describe(item));
+    }
+
+    /**
+     * Get the configured reasons.
+     *
+     * @return  {string[]}  Reasons, by index.
+     */
+    reasons()
+    {
+        return this.cfg.reasons || [];
+    }
+
+    /**
+     * Look up an IP in the GeoIP databases (if configured) and whois.
+     * 
+     * @param   {string}    ip          IP address.
+     * @param   {boolean}   useCache    Use the lookup cache?
+     * @return  {object}                { geo, whois }.
+     */
+    async lookup(ip, useCache = true)
+    {
+        return {
+            geo: (this.geo) ? await this.geo.lookup(ip) : null,
+            whois: await this.who.lookup(ip, useCache),
+        };
+    }
+
+    /**
+     * Find the entries that cover the whole of an IP or CIDR.
+     * 
+     * With a port, only entries that apply to it count; active blocks for other ports
+     * come back in otherPorts.
+     * 
+     * @param   {string}    ip      IP address or CIDR.
+     * @param   {number}    port    Port (or null for any).
+     * @return  {object}            { ip, port, blocked, allowed, blocks, otherPorts, expired, allows }.
+     * @throws  {Error}             If the IP or port is invalid.
+     */
+    async check(ip, port = null)
+    {
+        if (!this.blocks.isValid(ip)) {
+            throw this._refuse(`'${ip}' is not a valid IP address or CIDR.`);
+        }
+        if (port !== null && (!Number.isInteger(Number(port)) || port < 1 || port > 65535)) {
+            throw this._refuse(`'${port}' is not a valid port.`);
+        }
+        port = (port === null) ? null : Number(port);
+
+        let sm = IPHelper.subnet(IPHelper.normalise(ip));
+        let blocks = this.blocks.index.covering(sm.ipLow, sm.ipHigh);
+        let allows = this.allows.index.covering(sm.ipLow, sm.ipHigh)
+            .filter(item => !item.status && (port === null || this.allows.coversPort(item, port)));
+
+        let active = [];
+        let otherPorts = [];
+        let expired = [];
+        for (let item of blocks) {
+            if (item.status) {
+                if (port === null || this.blocks.coversPort(item, port)) {
+                    expired.push(item);
+                }
+            } else if (port === null || this.blocks.coversPort(item, port)) {
+                active.push(item);
+            } else {
+                otherPorts.push(item);
+            }
+        }
+
+        return {
+            ip: IPHelper.normalise(ip),
+            port: port,
+            blocked: active.length > 0,
+            allowed: allows.length > 0,
+            blocks: active.map(item => this.blocks.describe(item)),
+            otherPorts: otherPorts.map(item => this.blocks.describe(item)),
+            expired: expired.map(item => this.blocks.describe(item)),
+            allows: allows.map(item => this.allows.describe(item)),
+        };
+    }
+
+    /**
+     * Block an IP, CIDR or 'from-to' range.
+     * 
+     * Options are:
+     * 
+     *  ports:      Ports identifier.
+     *  days:       Days to block for (escalation is skipped when given).
+     *  reason:     Reason.
+     *  dtAdded:    Date added.
+     *  netrange:   Block the whole whois network range instead.
+     *  force:      Block even if it overlaps the allowlist.
+     *  imp:        Part of a bulk change (caller writes)?
+     * 
+     * @param   {string}    ip          IP address, CIDR or range.
+     * @param   {object}    opts        Options.
+     * @return  {object[]}              Entries added (described).
+     * @throws  {Error}                 If the block is refused.
+     */
+    async block(ip, opts = {})
+    {
+        let ports = opts.ports || null;
+
+        let range = IPHelper.parseRange(ip);
+
+        if (!range && !this.blocks.isValid(ip)) {
+            throw this._refuse(`'${ip}' is not a valid IP address, CIDR or range.`);
+        }
+
+        if (ports && !this.cfg.ports[ports]) {
+            throw this._refuse(`No ports definition for '${ports}'.`);
+        }
+
+        // What we are actually going to block.
+        let ipExtract = null;
+        let targets = null;
+        let who = null;
+
+        if (range) {
+            ipExtract = range.from;
+            targets = IPHelper.rangeToCidrs(range.from, range.to).map(c => `${c.ipLowStr}/${c.prefixSize}`);
+        } else {
+            ipExtract = (ip.indexOf('/') == -1) ? ip : ip.substring(0, ip.indexOf('/'));
+            targets = [ip];
+        }
+
+        if (opts.netrange) {
+            who = await this.who.lookup(ipExtract);
+            if (!who.CIDRs) {
+                throw this._refuse(`No network range found for ${ipExtract}.`);
+            }
+            syslog.notice(`Whois range for ${ipExtract} is ${who.NetLow} - ${who.NetHigh}.`);
+            targets = who.CIDRs;
+        }
+
+        let extra = {
+            days: null,
+            country: null,
+            org: null,
+        }
+
+        if (opts.days) {
+            extra.days = opts.days;
+            // Days given explicitly are not escalated.
+            extra.escalate = false;
+        }
+
+        if (opts.reason) {
+            extra.reason = opts.reason;
+        }
+
+        if (opts.dtAdded) {
+            extra.dtAdded = opts.dtAdded;
+        }
+
+        // Check the allowlist.
+        let allowed = [];
+        for (let target of targets) {
+            allowed.push(...await this.allows.findOverlaps(target));
+        }
+        if (allowed.length > 0) {
+            for (let entry of allowed) {
+                let msg = `${ip} overlaps allowlisted entry ${entry.ip}`;
+                if (entry.ports) {
+                    msg += ` (${entry.ports})`;
+                }
+                if (entry.reason) {
+                    msg += `: ${entry.reason}`;
+                }
+                syslog.warning(msg);
+            }
+            if (!opts.force && this.cfg.allowConflict != 'warn') {
+                throw this._refuse(`Refusing to block ${ip} because it overlaps the allowlist. Use --force to override.`);
+            }
+            syslog.warning(`!!! Blocking ${ip} even though it overlaps the allowlist !!!`);
+        }
+
+        // Local GeoIP databases first.
+        if (this.geo) {
+            let geo = await this.geo.lookup(ipExtract);
+            extra.country = geo.country;
+            extra.org = geo.org;
+            extra.asn = geo.asn;
+        }
+
+        // Whois only for what GeoIP could not tell us, taking the abuse contact while we are there.
+        if (who || !extra.country || !extra.org) {
+            if (!who) {
+                who = await this.who.lookup(ipExtract);
+            }
+
+            if (this.cfg.lookup) {
+                if (this.cfg.lookup.countryFields && !extra.country) {
+                    for (let c of this.cfg.lookup.countryFields) {
+                        if (who[c]) {
+                            extra.country = who[c].toUpperCase();
+                            break;
+                        }
+                    }
+                }
+                if (this.cfg.lookup.orgFields && !extra.org) {
+                    for (let o of this.cfg.lookup.orgFields) {
+                        if (who[o] && !who[o].startsWith('***')) {
+                            extra.org = who[o];
+                            break;
+                        }
+                    }
+                }
+                let abuseFields = this.cfg.lookup.abuseFields || ['OrgAbuseEmail'];
+                for (let a of abuseFields) {
+                    if (who[a] && !extra.abuse) {
+                        extra.abuse = who[a];
+                        break;
+                    }
+                }
+            }
+        }
+
+        if (!extra.days && this.cfg.countryBlockDays && extra.country && this.cfg.countryBlockDays[extra.country]) {
+            extra.days = this.cfg.countryBlockDays[extra.country];
+        }
+
+        if (!extra.country) {
+            syslog.warning(`No country found for ${ip}.`);
+        }
+
+        // Several CIDRs are linked by a group so they can be unblocked together.
+        if (targets.length > 1) {
+            extra.group = this._newGroupId('r');
+            syslog.notice(`Blocking ${ip} as ${targets.length} CIDRs in group ${extra.group}.`);
+        }
+
+        let added = [];
+        for (let target of targets) {
+            let entry = await this.blocks.add(target, ports, Object.assign({}, extra), true);
+            if (entry) {
+                added.push(entry);
+            }
+        }
+
+        if (added.length > 0 && !opts.imp) {
+            await this.blocks.write();
+        }
+
+        return added.map(item => this.blocks.describe(item));
+    }
+
+    /**
+     * Unblock an IP, CIDR or 'from-to' range.
+     * 
+     * @param   {string}    ip      IP address, CIDR or range.
+     * @param   {string}    ports   Ports identifier.
+     * @return  {object[]}          Entries removed (described).
+     * @throws  {Error}             If the arguments are invalid.
+     */
+    async unblock(ip, ports = null)
+    {
+        if (ports && !this.cfg.ports[ports]) {
+            throw this._refuse(`No ports definition for '${ports}'.`);
+        }
+
+        let range = IPHelper.parseRange(ip);
+        if (!range && !this.blocks.isValid(ip)) {
+            throw this._refuse(`'${ip}' is not a valid IP address, CIDR or range.`);
+        }
+
+        let targets = (range) 
+            ? IPHelper.rangeToCidrs(range.from, range.to).map(c => `${c.ipLowStr}/${c.prefixSize}`) 
+            : [ip];
+
+        let removed = [];
+        for (let target of targets) {
+            let entry = await this.blocks.remove(target, ports, true);
+            if (entry) {
+                removed.push(entry);
+            }
+        }
+
+        if (removed.length > 0) {
+            await this.blocks.write();
+        }
+
+        return removed.map(item => this.blocks.describe(item));
+    }
+
+    /**
+     * Create a new group ID.
+     * 
+     * @param   {string}    prefix  Prefix saying what kind of group it is.
+     * @return  {string}            Group ID.
+     */
+    _newGroupId(prefix)
+    {
+        return `${prefix}-${crypto.randomBytes(4).toString('hex')}`;
+    }
+
+    /**
+     * Create an error for a request refused as invalid, rather than one that failed.
+     *
+     * @param   {string}    message Message.
+     * @return  {Error}             Error, with 'refused' set.
+     */
+    _refuse(message)
+    {
+        let err = new Error(message);
+        err.refused = true;
+        return err;
+    }
+}
+
+module.exports = IPManager;
@@ -0,0 +1,273 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      Journal
+ * @author      Gordon Ansell   <contact@gordonansell.com>
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const syslog = require("greenhat-util/syslog");
+const fs = require('fs');
+const os = require('os');
+const IPHelper = require("./iphelper");
+const RangeIndex = require("./rangeindex");
+
+/**
+ * Append-only journal of list changes.
+ *
+ * Each change is one JSON line holding when it happened, who did it, the command
+ * line, the list, the action and the entry before and after the change.
+ */
+class Journal
+{
+    /**
+     * Entries read so far (null until the file is read).
+     * @var {object[]|null}
+     */
+    entries = null;
+
+    /**
+     * Range index over the entries read so far (null until it is needed).
+     * @var {RangeIndex|null}
+     */
+    index = null;
+
+    /**
+     * Constructor.
+     *
+     * @param   {string}    filePath    Path to the journal file.
+     */
+    constructor(filePath)
+    {
+        this.filePath = filePath;
+        this.operator = process.env.SUDO_USER || this._userName();
+        this.command = process.argv.slice(2).join(' ');
+    }
+
+    /**
+     * Record a change.
+     *
+     * @param   {string}    list        List name.
+     * @param   {string}    action      Action, e.g. 'add', 'remove', 'expire'.
+     * @param   {object}    before      Entry before the change (or null).
+     * @param   {object}    after       Entry after the change (or null).
+     * @param   {string}    reason      Why (or null).
+     */
+    record(list, action, before, after, reason = null)
+    {
+        this.append([this.entry(list, action, before, after, reason)]);
+    }
+
+    /**
+     * Make a journal entry for a change, to be appended later.
+     *
+     * @param   {string}    list        List name.
+     * @param   {string}    action      Action, e.g. 'add', 'remove', 'expire'.
+     * @param   {object}    before      Entry before the change (or null).
+     * @param   {object}    after       Entry after the change (or null).
+     * @param   {string}    reason      Why (or null).
+     * @return  {object}                Journal entry.
+     */
+    entry(list, action, before, after, reason = null)
+    {
+        return {
+            dt: new Date().toISOString(),
+            operator: this.operator,
+            command: this.command,
+            list: list,
+            action: action,
+            ip: (after) ? after.ip : before.ip,
+            before: this._strip(before),
+            after: this._strip(after),
+            reason: reason,
+        };
+    }
+
+    /**
+     * Append entries to the journal.
+     *
+     * @param   {object[]}  entries     Journal entries.
+     */
+    append(entries)
+    {
+        if (entries.length == 0) {
+            return;
+        }
+
+        try {
+            fs.appendFileSync(this.filePath, entries.map(entry => JSON.stringify(entry) + "\n").join(''));
+            if (this.entries) {
+                for (let entry of entries) {
+                    this.entries.push(entry);
+                    let indexed = this._indexed(entry, this.entries.length - 1);
+                    if (this.index && indexed) {
+                        this.index.add(indexed);
+                    }
+                }
+            }
+        } catch (err) {
+            syslog.error(`Failed to write to journal '${this.filePath}':  ${err.message}`);
+        }
+    }
+
+    /**
+     * Read every journal entry.
+     *
+     * The file is read once and then kept up to date as changes are recorded.
+     *
+     * @return  {object[]}  Entries, oldest first.
+     */
+    read()
+    {
+        if (this.entries) {
+            return this.entries;
+        }
+
+        let ret = [];
+        this.entries = ret;
+
+        if (!fs.existsSync(this.filePath)) {
+            return ret;
+        }
+
+        let lines = fs.readFileSync(this.filePath, 'utf-8').split("\n");
+        for (let num = 0; num < lines.length; num++) {
+            if (lines[num].trim() == '') {
+                continue;
+            }
+            try {
+                ret.push(JSON.parse(lines[num]));
+            } catch (err) {
+                syslog.warning(`Skipping unreadable journal line ${num + 1}: ${err.message}`);
+            }
+        }
+
+        return ret;
+    }
+
+    /**
+     * Get the journal entries for any entry overlapping an IP, CIDR or range.
+     *
+     * @param   {string}    ip      IP address, CIDR or 'from-to' range.
+     * @return  {object[]}          Entries, oldest first.
+     */
+    forIp(ip)
+    {
+        let range = this._range(ip);
+        if (!range) {
+            return [];
+        }
+
+        return this.read().filter(entry => {
+            let sm = IPHelper.subnet(entry.ip);
+            return sm && sm.ipLow <= range.high && sm.ipHigh >= range.low;
+        });
+    }
+
+    /**
+     * Get the journal entries for any entry covering the whole of an IP or CIDR.
+     *
+     * The journal is indexed by range the first time, so asking for every entry of
+     * a large import costs a lookup each rather than a pass over the journal.
+     *
+     * @param   {string}    ip      IP address or CIDR.
+     * @return  {object[]}          Entries, oldest first.
+     */
+    covering(ip)
+    {
+        let range = this._range(ip);
+        if (!range) {
+            return [];
+        }
+
+        if (!this.index) {
+            this.index = new RangeIndex();
+            this.index.build(this.read().map((entry, num) => this._indexed(entry, num)).filter(Boolean));
+        }
+
+        return this.index.covering(range.low, range.high)
+            .sort((a, b) => a.num - b.num)
+            .map(indexed => indexed.entry);
+    }
+
+    /**
+     * Wrap an entry for the range index.
+     *
+     * @param   {object}    entry   Journal entry.
+     * @param   {number}    num     Its position in the journal.
+     * @return  {object|null}       { entry, num, working }, or null if its IP is unusable.
+     */
+    _indexed(entry, num)
+    {
+        let sm = IPHelper.subnet(entry.ip);
+        if (!sm) {
+            return null;
+        }
+
+        return {
+            entry: entry,
+            num: num,
+            working: {fromDec: sm.ipLow, toDec: sm.ipHigh},
+        };
+    }
+
+    /**
+     * Get the range of an IP, CIDR or 'from-to' range.
+     *
+     * @param   {string}    ip      IP address, CIDR or range.
+     * @return  {object|null}       { low, high } or null if invalid.
+     */
+    _range(ip)
+    {
+        let range = IPHelper.parseRange(ip);
+        if (range) {
+            return {
+                low: IPHelper.toDec(range.from),
+                high: IPHelper.toDec(range.to),
+            };
+        }
+
+        let sm = IPHelper.subnet(IPHelper.normalise(ip));
+        if (!sm) {
+            return null;
+        }
+        return {
+            low: sm.ipLow,
+            high: sm.ipHigh,
+        };
+    }
+
+    /**
+     * Copy an entry without its working data.
+     *
+     * @param   {object}    item    Entry (or null).
+     * @return  {object|null}       Copy.
+     */
+    _strip(item)
+    {
+        if (!item) {
+            return null;
+        }
+        let ret = Object.assign({}, item);
+        delete ret.working;
+        return ret;
+    }
+
+    /**
+     * Get the name of the user running us.
+     *
+     * @return  {string}    User name.
+     */
+    _userName()
+    {
+        try {
+            return os.userInfo().username;
+        } catch (err) {
+            return 'unknown';
+        }
+    }
+}
+
+module.exports = Journal;
@@ -0,0 +1,293 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      ListSchema
+ * @author      Gordon Ansell   <contact@gordonansell.com>
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const IPHelper = require("./iphelper");
+const crypto = require("crypto");
+
+/**
+ * Current schema version of list files.
+ */
+const VERSION = 3;
+
+/**
+ * Migrations, keyed by the version they migrate from. Each takes the file contents
+ * at that version and returns them at the next.
+ */
+const MIGRATIONS = {
+    // Version 1 was a bare array of entries.
+    1: (data) => {
+        return {
+            schema: 2,
+            items: data,
+        };
+    },
+    // Version 3 gives every entry an ID, so storage can address single entries.
+    2: (data) => {
+        return {
+            schema: 3,
+            items: data.items.map(item => {
+                if (item && typeof item === 'object' && !item.id) {
+                    item.id = ListSchema.newId();
+                }
+                return item;
+            }),
+        };
+    },
+};
+
+/**
+ * Schema versioning and checks for list files.
+ *
+ * Files are written as { schema, items }. Files from older versions are migrated up
+ * as they are read, and are written back at the current version.
+ */
+class ListSchema
+{
+    /**
+     * Get the schema version of parsed file contents.
+     *
+     * @param   {any}       data    Parsed file contents.
+     * @return  {number}            Version.
+     * @throws  {Error}             If the contents are not a list file at all.
+     */
+    static version(data)
+    {
+        if (Array.isArray(data)) {
+            return 1;
+        }
+        if (data && typeof data === 'object' && Number.isInteger(data.schema) && Array.isArray(data.items)) {
+            return data.schema;
+        }
+        throw new Error('Not a list file (expected an array or { schema, items }).');
+    }
+
+    /**
+     * Migrate parsed file contents to the current version.
+     *
+     * @param   {any}       data    Parsed file contents.
+     * @return  {object}            { schema, items, from }, where 'from' is the version read.
+     * @throws  {Error}             If the version is unknown or newer than we understand.
+     */
+    static migrate(data)
+    {
+        let from = ListSchema.version(data);
+
+        if (from > VERSION) {
+            throw new Error(`Schema version ${from} is newer than this version of the program understands (${VERSION}).`);
+        }
+
+        let current = from;
+        while (current < VERSION) {
+            if (!MIGRATIONS[current]) {
+                throw new Error(`No migration from schema version ${current}.`);
+            }
+            data = MIGRATIONS[current](data);
+            current = ListSchema.version(data);
+        }
+
+        return {
+            schema: current,
+            items: data.items,
+            from: from,
+        };
+    }
+
+    /**
+     * Wrap items for writing.
+     *
+     * @param   {object[]}  items   Items (as written).
+     * @return  {object}            File contents.
+     */
+    static wrap(items)
+    {
+        return {
+            schema: VERSION,
+            items: items,
+        };
+    }
+
+    /**
+     * Create a new entry ID.
+     *
+     * @return  {string}    ID.
+     */
+    static newId()
+    {
+        return crypto.randomBytes(8).toString('hex');
+    }
+
+    /**
+     * Check raw entries for problems.
+     *
+     * Each problem says which entry it is and what is wrong. Problems that can be
+     * fixed automatically carry a fix() that takes the entry and returns it fixed,
+     * or null if the entry should be dropped.
+     *
+     * @param   {object[]}  items   Raw entries (as read, before working data is added).
+     * @param   {object}    cfg     Configs.
+     * @return  {object[]}          Problems as { index, ip, problem, fix }.
+     */
+    static check(items, cfg)
+    {
+        let problems = [];
+        let now = new Date();
+        let seen = new Map();
+        let ids = new Map();
+
+        let add = (index, item, problem, fix = null) => {
+            problems.push({
+                index: index,
+                ip: (item && item.ip) ? String(item.ip) : '(none)',
+                problem: problem,
+                fix: fix,
+            });
+        };
+
+        for (let index = 0; index < items.length; index++) {
+            let item = items[index];
+
+            if (!item || typeof item !== 'object' || Array.isArray(item)) {
+                add(index, null, 'Entry is not an object.', () => null);
+                continue;
+            }
+
+            // IDs.
+            if (!item.id) {
+                add(index, item, `Missing ID.`, (e) => {
+                    e.id = ListSchema.newId();
+                    return e;
+                });
+            } else if (ids.has(item.id)) {
+                add(index, item, `ID ${item.id} is also used by entry ${ids.get(item.id)}.`, (e) => {
+                    e.id = ListSchema.newId();
+                    return e;
+                });
+            } else {
+                ids.set(item.id, index);
+            }
+
+            // Addresses.
+            if (typeof item.ip !== 'string' || !IPHelper.isValid(item.ip)) {
+                add(index, item, `Malformed IP address or CIDR '${item.ip}'.`, () => null);
+                continue;
+            }
+            if (IPHelper.normalise(item.ip) != item.ip) {
+                add(index, item, `IP address is not in normal form (${IPHelper.normalise(item.ip)}).`, (e) => {
+                    e.ip = IPHelper.normalise(e.ip);
+                    return e;
+                });
+            }
+
+            // Ports.
+            if (item.ports && (!cfg.ports || !cfg.ports[item.ports])) {
+                add(index, item, `Unknown ports key '${item.ports}'.`);
+            }
+
+            // Dates.
+            let added = new Date(item.dtAdded);
+            if (!item.dtAdded || isNaN(added)) {
+                add(index, item, `Missing or invalid date added '${item.dtAdded}'.`, (e) => {
+                    e.dtAdded = now.toISOString();
+                    return e;
+                });
+            } else if (added > now) {
+                add(index, item, `Date added ${item.dtAdded} is in the future.`, (e) => {
+                    e.dtAdded = now.toISOString();
+                    return e;
+                });
+            }
+            if (item.status == 1 && (!item.dtExpired || isNaN(new Date(item.dtExpired)))) {
+                add(index, item, `Expired without a valid expiry date '${item.dtExpired}'.`, (e) => {
+                    e.dtExpired = now.toISOString();
+                    return e;
+                });
+            } else if (item.dtExpired && !isNaN(added) && new Date(item.dtExpired) < added) {
+                add(index, item, `Expired ${item.dtExpired}, before it was added.`);
+            }
+            if (item.days !== undefined && item.days !== null && !(Number(item.days) > 0)) {
+                add(index, item, `Invalid block days '${item.days}'.`, (e) => {
+                    delete e.days;
+                    return e;
+                });
+            }
+
+            // Working data written by 'writeWorking' must match the address.
+            if (item.working) {
+                let sm = IPHelper.subnet(IPHelper.normalise(item.ip));
+                let w = item.working;
+                if (!w.version || w.version != sm.version || w.from != sm.ipLowStr || w.to != sm.ipHighStr ||
+                        String(w.fromDec) != String(sm.ipLow) || String(w.toDec) != String(sm.ipHigh)) {
+                    add(index, item, `Stale working data.`, (e) => {
+                        delete e.working;
+                        return e;
+                    });
+                }
+            }
+
+            // Duplicates of an active entry.
+            if (!item.status) {
+                let key = `${IPHelper.normalise(item.ip)}|${item.ports || ''}`;
+                if (seen.has(key)) {
+                    add(index, item, `Duplicate of entry ${seen.get(key)}.`, () => null);
+                } else {
+                    seen.set(key, index);
+                }
+            }
+        }
+
+        return problems;
+    }
+
+    /**
+     * Apply the automatic fixes for a set of problems.
+     *
+     * @param   {object[]}  items       Raw entries.
+     * @param   {object[]}  problems    Problems from check().
+     * @return  {object}                { items, fixed, dropped, unfixed } where the last three are problems.
+     */
+    static repair(items, problems)
+    {
+        let fixed = [];
+        let dropped = [];
+        let unfixed = [];
+        let drop = new Set();
+
+        items = items.map(item => (item && typeof item === 'object') ? Object.assign({}, item) : item);
+
+        for (let p of problems) {
+            if (drop.has(p.index)) {
+                continue;
+            }
+            if (!p.fix) {
+                unfixed.push(p);
+                continue;
+            }
+            let result = p.fix(items[p.index]);
+            if (result === null) {
+                drop.add(p.index);
+                dropped.push(p);
+            } else {
+                items[p.index] = result;
+                fixed.push(p);
+            }
+        }
+
+        return {
+            items: items.filter((item, index) => !drop.has(index)),
+            fixed: fixed,
+            dropped: dropped,
+            unfixed: unfixed,
+        };
+    }
+}
+
+ListSchema.VERSION = VERSION;
+
+module.exports = ListSchema;
@@ -0,0 +1,206 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      LockFile
+ * @author      Gordon Ansell   <contact@gordonansell.com>
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const syslog = require("greenhat-util/syslog");
+const fs = require('fs');
+
+/**
+ * Advisory lock so only one instance changes the data at a time.
+ *
+ * The lock is a file created exclusively, holding the owner's PID, command line and
+ * start time. A lock left by a process that no longer exists is taken over by moving it
+ * aside first, so when two instances find the same stale lock only one removes it.
+ */
+class LockFile
+{
+    /**
+     * Do we hold the lock?
+     * @var {boolean}
+     */
+    held = false;
+
+    /**
+     * Constructor.
+     *
+     * @param   {string}    filePath    Path to the lock file.
+     * @param   {number}    timeout     Seconds to wait for the lock.
+     */
+    constructor(filePath, timeout = 30)
+    {
+        this.filePath = filePath;
+        this.timeout = timeout;
+        this._onExit = () => this.release();
+    }
+
+    /**
+     * Acquire the lock, waiting for it if need be.
+     *
+     * @return  {boolean}   True if we got it, else false.
+     */
+    async acquire()
+    {
+        if (this.held) {
+            return true;
+        }
+
+        let deadline = Date.now() + (this.timeout * 1000);
+        let owner = null;
+
+        while (true) {
+            try {
+                let fd = fs.openSync(this.filePath, 'wx');
+                fs.writeSync(fd, JSON.stringify({
+                    pid: process.pid,
+                    command: process.argv.slice(2).join(' '),
+                    dtLocked: new Date().toISOString(),
+                }));
+                fs.closeSync(fd);
+                this.held = true;
+                process.on('exit', this._onExit);
+                syslog.trace('LockFile:acquire', `Acquired lock: ${this.filePath}.`);
+                return true;
+            } catch (err) {
+                if (err.code != 'EEXIST') {
+                    syslog.error(`Failed to create lock file '${this.filePath}':  ${err.message}`);
+                    return false;
+                }
+            }
+
+            owner = this.owner();
+            if (owner && !this._isRunning(owner.pid)) {
+                this._removeStale(owner);
+                continue;
+            }
+
+            if (Date.now() >= deadline) {
+                break;
+            }
+
+            await new Promise(resolve => setTimeout(resolve, 250));
+        }
+
+        if (owner) {
+            syslog.error(`Another instance holds the lock (PID ${owner.pid}, '${owner.command}', since ${owner.dtLocked}). ` +
+                `Gave up after ${this.timeout} seconds.`);
+        } else {
+            syslog.error(`Could not get the lock '${this.filePath}' within ${this.timeout} seconds.`);
+        }
+        return false;
+    }
+
+    /**
+     * Release the lock if we hold it.
+     */
+    release()
+    {
+        if (!this.held) {
+            return;
+        }
+        this._unlink();
+        this.held = false;
+        process.removeListener('exit', this._onExit);
+        syslog.trace('LockFile:release', `Released lock: ${this.filePath}.`);
+    }
+
+    /**
+     * Get the details of whoever holds the lock.
+     *
+     * @return  {object|null}   { pid, command, dtLocked } or null if not locked or unreadable.
+     */
+    owner()
+    {
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Remove a stale lock.
+     *
+     * The file is renamed first, which only one instance can do. If what was renamed
+     * is not the stale lock after all (someone else removed it and locked afresh in
+     * the meantime), it is put back.
+     *
+     * @param   {object}    stale   Owner of the stale lock, as from owner().
+     */
+    _removeStale(stale)
+    {
+        let aside = `${this.filePath}.${process.pid}.stale`;
+
+        try {
+            fs.renameSync(this.filePath, aside);
+        } catch (err) {
+            // Gone already, so someone else got there first.
+            if (err.code != 'ENOENT') {
+                syslog.error(`Failed to move stale lock file '${this.filePath}':  ${err.message}`);
+            }
+            return;
+        }
+
+        let moved = null;
+        try {
+            moved = JSON.parse(fs.readFileSync(aside, 'utf-8'));
+        } catch (err) {
+            moved = null;
+        }
+
+        if (moved && (moved.pid != stale.pid || moved.dtLocked != stale.dtLocked)) {
+            try {
+                // A link never replaces a file, so a lock taken in between is left alone.
+                fs.linkSync(aside, this.filePath);
+            } catch (err) {
+                syslog.error(`Failed to put back the lock of PID ${moved.pid}:  ${err.message}`);
+            }
+        } else {
+            syslog.warning(`Removed stale lock left by PID ${stale.pid} ('${stale.command}').`);
+        }
+
+        try {
+            fs.unlinkSync(aside);
+        } catch (err) {
+            syslog.error(`Failed to remove '${aside}':  ${err.message}`);
+        }
+    }
+
+    /**
+     * See if a process is running.
+     *
+     * @param   {number}    pid     Process ID.
+     * @return  {boolean}           True if it is, else false.
+     */
+    _isRunning(pid)
+    {
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (err) {
+            // EPERM means it exists but belongs to someone else.
+            return err.code == 'EPERM';
+        }
+    }
+
+    /**
+     * Delete the lock file.
+     */
+    _unlink()
+    {
+        try {
+            fs.unlinkSync(this.filePath);
+        } catch (err) {
+            if (err.code != 'ENOENT') {
+                syslog.error(`Failed to remove lock file '${this.filePath}':  ${err.message}`);
+            }
+        }
+    }
+}
+
+module.exports = LockFile;
@@ -0,0 +1,236 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      LookupCache
+ * @author      Gordon Ansell   <contact@gordonansell.com>
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const syslog = require("greenhat-util/syslog");
+const fs = require('fs');
+const IPHelper = require("./iphelper");
+
+/**
+ * On-disk cache of lookup results.
+ *
+ * Results are keyed by the network range they describe (NetLow to NetHigh), so any
+ * later address inside a cached range is answered without going to the network.
+ */
+class LookupCache
+{
+    /**
+     * Cached entries.
+     * @var {object[]}
+     */
+    entries = [];
+
+    /**
+     * Hit count.
+     * @var {number}
+     */
+    hits = 0;
+
+    /**
+     * Miss count.
+     * @var {number}
+     */
+    misses = 0;
+
+    /**
+     * Has the cache changed since it was read?
+     * @var {boolean}
+     */
+    dirty = false;
+
+    /**
+     * Constructor.
+     *
+     * @param   {string}    filePath    Path to the cache file.
+     * @param   {number}    days        Days before an entry goes stale.
+     */
+    constructor(filePath, days = 7)
+    {
+        this.filePath = filePath;
+        this.days = days;
+        this.read();
+    }
+
+    /**
+     * Read the cache file.
+     */
+    read()
+    {
+        this.entries = [];
+
+        if (!fs.existsSync(this.filePath)) {
+            return;
+        }
+
+        try {
+            let parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+            this.hits = parsed.hits || 0;
+            this.misses = parsed.misses || 0;
+            for (let entry of parsed.entries || []) {
+                entry.fromDec = BigInt(entry.fromDec);
+                entry.toDec = BigInt(entry.toDec);
+                this.entries.push(entry);
+            }
+            syslog.trace('LookupCache:read', `Read ${this.entries.length} cached lookups from: ${this.filePath}.`);
+        } catch (err) {
+            // The cache can always be rebuilt, so start afresh.
+            syslog.warning(`Ignoring unreadable lookup cache '${this.filePath}': ${err.message}`);
+            this.entries = [];
+        }
+    }
+
+    /**
+     * Write the cache file if it has changed, dropping stale entries.
+     */
+    save()
+    {
+        if (!this.dirty) {
+            return;
+        }
+
+        this.entries = this.entries.filter(entry => !this.isStale(entry));
+
+        let toWrite = {
+            hits: this.hits,
+            misses: this.misses,
+            entries: this.entries.map(entry => Object.assign({}, entry, {
+                fromDec: entry.fromDec.toString(),
+                toDec: entry.toDec.toString(),
+            })),
+        };
+
+        try {
+            let tmp = `${this.filePath}.${process.pid}.tmp`;
+            fs.writeFileSync(tmp, JSON.stringify(toWrite));
+            fs.renameSync(tmp, this.filePath);
+            this.dirty = false;
+            syslog.trace('LookupCache:save', `Wrote ${this.entries.length} cached lookups to: ${this.filePath}.`);
+        } catch (err) {
+            syslog.error(`Failed to write lookup cache to '${this.filePath}':  ${err.message}`);
+        }
+    }
+
+    /**
+     * See if an entry is stale.
+     *
+     * @param   {object}    entry   Cache entry.
+     * @return  {boolean}           True if it is, else false.
+     */
+    isStale(entry)
+    {
+        return (new Date() - new Date(entry.dtCached)) >= this.days * 86400000;
+    }
+
+    /**
+     * Get the cached result for an IP.
+     *
+     * The narrowest fresh range containing the IP wins.
+     *
+     * @param   {string}    ip      IP address.
+     * @return  {object|null}       Lookup result or null.
+     */
+    get(ip)
+    {
+        let dec = IPHelper.toDec(ip);
+        let best = null;
+
+        if (dec !== null) {
+            for (let entry of this.entries) {
+                if (dec < entry.fromDec || dec > entry.toDec || this.isStale(entry)) {
+                    continue;
+                }
+                if (!best || (entry.toDec - entry.fromDec) < (best.toDec - best.fromDec)) {
+                    best = entry;
+                }
+            }
+        }
+
+        if (best) {
+            this.hits++;
+        } else {
+            this.misses++;
+        }
+        this.dirty = true;
+
+        return (best) ? Object.assign({}, best.data) : null;
+    }
+
+    /**
+     * Cache a lookup result.
+     *
+     * Results without a range cannot be matched later and are not cached. A result
+     * for an identical range replaces the old one.
+     *
+     * @param   {object}    result  Lookup result.
+     */
+    put(result)
+    {
+        if (!result || !result.NetLow || !result.NetHigh) {
+            return;
+        }
+
+        let fromDec = IPHelper.toDec(result.NetLow);
+        let toDec = IPHelper.toDec(result.NetHigh);
+        if (fromDec === null || toDec === null) {
+            return;
+        }
+
+        // Working values with big integers, and raw RDAP objects, are not worth keeping.
+        let data = Object.assign({}, result);
+        delete data.IPCalcs;
+        delete data.rdap;
+
+        this.entries = this.entries.filter(entry => entry.fromDec != fromDec || entry.toDec != toDec);
+        this.entries.push({
+            fromDec: fromDec,
+            toDec: toDec,
+            dtCached: new Date().toISOString(),
+            data: data,
+        });
+        this.dirty = true;
+    }
+
+    /**
+     * Clear the cache.
+     */
+    clear()
+    {
+        this.entries = [];
+        this.hits = 0;
+        this.misses = 0;
+        this.dirty = true;
+    }
+
+    /**
+     * Get cache statistics.
+     *
+     * @return  {object}    Statistics.
+     */
+    stats()
+    {
+        let stale = this.entries.filter(entry => this.isStale(entry)).length;
+        let dates = this.entries.map(entry => entry.dtCached).sort();
+        let size = (fs.existsSync(this.filePath)) ? fs.statSync(this.filePath).size : 0;
+
+        return {
+            file: this.filePath,
+            bytes: size,
+            days: this.days,
+            entries: this.entries.length,
+            fresh: this.entries.length - stale,
+            stale: stale,
+            oldest: (dates.length) ? dates[0] : null,
+            newest: (dates.length) ? dates[dates.length - 1] : null,
+            hits: this.hits,
+            misses: this.misses,
+        };
+    }
+}
+
+module.exports = LookupCache;
@@ -0,0 +1,249 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      PrefixData
+ * @author      Gordon Ansell   <contact@gordonansell.com>
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const syslog = require("greenhat-util/syslog");
+const IPHelper = require("./iphelper");
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+
+/**
+ * Local prefix-to-ASN and ASN-to-name datasets.
+ *
+ * Configured in cfg.prefixes, with paths relative to the data directory:
+ *
+ *  pfx2as:     Prefix-to-ASN files, e.g. CAIDA's routeviews pfx2as files (one string
+ *              or an array, may be gzipped). Lines are 'prefix<tab>length<tab>asn' or
+ *              'prefix/length asn'. Multi-origin ASNs ('1_2', '1,2') match any of them.
+ *  asnames:    ASN names file, lines as '13335 CLOUDFLARENET, US' or 'AS13335 ...'.
+ *  delegated:  RIR delegated-*-extended statistics files (one string or an array, may
+ *              be gzipped).
+ */
+class PrefixData
+{
+    /**
+     * Constructor.
+     *
+     * @param   {object}    cfg         Configs.
+     * @param   {string}    dataPath    Data directory.
+     */
+    constructor(cfg, dataPath)
+    {
+        let pcfg = cfg.prefixes || {};
+        let files = pcfg.pfx2as || [];
+        if (!Array.isArray(files)) {
+            files = [files];
+        }
+
+        this.pfx2as = files.map(f => path.resolve(dataPath, f));
+        this.asnames = (pcfg.asnames) ? path.resolve(dataPath, pcfg.asnames) : null;
+
+        let delegated = pcfg.delegated || [];
+        if (!Array.isArray(delegated)) {
+            delegated = [delegated];
+        }
+        this.delegated = delegated.map(f => path.resolve(dataPath, f));
+    }
+
+    /**
+     * Get the prefixes announced by some ASNs.
+     *
+     * @param   {number[]}  asns    ASNs.
+     * @return  {Map}               ASN to CIDRs, widest first.
+     */
+    async prefixesFor(asns)
+    {
+        let ret = new Map(asns.map(asn => [Number(asn), []]));
+
+        if (this.pfx2as.length == 0) {
+            syslog.error(`No prefix-to-ASN files configured (cfg.prefixes.pfx2as).`);
+            return ret;
+        }
+
+        for (let fp of this.pfx2as) {
+            if (!fs.existsSync(fp)) {
+                syslog.error(`Prefix-to-ASN file ${fp} not found.`);
+                continue;
+            }
+
+            for await (let line of this._lines(fp)) {
+                let m = line.match(/^([0-9a-fA-F.:]+)(?:\/|\s+)(\d+)\s+(\S+)/);
+                if (!m) {
+                    continue;
+                }
+                for (let asn of m[3].split(/[_,]/)) {
+                    let list = ret.get(Number(asn));
+                    if (list) {
+                        let cidr = `${IPHelper.normalise(m[1])}/${m[2]}`;
+                        if (IPHelper.isValid(cidr)) {
+                            list.push(cidr);
+                        }
+                    }
+                }
+            }
+        }
+
+        for (let [asn, list] of ret) {
+            let unique = Array.from(new Set(list));
+            ret.set(asn, unique.sort((a, b) => Number(a.split('/')[1]) - Number(b.split('/')[1])));
+        }
+
+        return ret;
+    }
+
+    /**
+     * Find the ASNs whose name matches a pattern.
+     *
+     * @param   {string}    pattern     Regular expression (case-insensitive).
+     * @return  {object[]}              Matches as { asn, name }.
+     */
+    async findOrg(pattern)
+    {
+        let ret = [];
+
+        if (!this.asnames) {
+            syslog.error(`No ASN names file configured (cfg.prefixes.asnames).`);
+            return ret;
+        }
+        if (!fs.existsSync(this.asnames)) {
+            syslog.error(`ASN names file ${this.asnames} not found.`);
+            return ret;
+        }
+
+        let re = new RegExp(pattern, 'i');
+
+        for await (let line of this._lines(this.asnames)) {
+            let m = line.match(/^\s*(?:AS)?(\d+)\s+(.+?)\s*$/i);
+            if (m && re.test(m[2])) {
+                ret.push({
+                    asn: Number(m[1]),
+                    name: m[2],
+                });
+            }
+        }
+
+        return ret;
+    }
+
+    /**
+     * Get the name of an ASN.
+     *
+     * @param   {number}    asn     ASN.
+     * @return  {string|null}       Name or null if unknown.
+     */
+    async nameOf(asn)
+    {
+        if (!this.asnames || !fs.existsSync(this.asnames)) {
+            return null;
+        }
+
+        for await (let line of this._lines(this.asnames)) {
+            let m = line.match(/^\s*(?:AS)?(\d+)\s+(.+?)\s*$/i);
+            if (m && Number(m[1]) == asn) {
+                return m[2];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the address space delegated to a country, aggregated to CIDRs.
+     *
+     * Records are 'registry|cc|type|start|value|date|status[|...]', where value is an
+     * address count for IPv4 and a prefix length for IPv6. Only allocated and assigned
+     * space counts.
+     *
+     * @param   {string}    cc      Country code.
+     * @return  {string[]}          CIDRs.
+     */
+    async countryPrefixes(cc)
+    {
+        cc = cc.toUpperCase();
+
+        let ranges = {4: [], 6: []};
+
+        if (this.delegated.length == 0) {
+            syslog.error(`No delegated statistics files configured (cfg.prefixes.delegated).`);
+            return [];
+        }
+
+        for (let fp of this.delegated) {
+            if (!fs.existsSync(fp)) {
+                syslog.error(`Delegated statistics file ${fp} not found.`);
+                continue;
+            }
+
+            for await (let line of this._lines(fp)) {
+                let f = line.split('|');
+                if (f.length < 7 || f[1].toUpperCase() != cc || !['allocated', 'assigned'].includes(f[6])) {
+                    continue;
+                }
+
+                if (f[2] == 'ipv4' && IPHelper.isIPv4(f[3])) {
+                    let low = IPHelper.toDec(f[3]);
+                    ranges[4].push([low, low + BigInt(f[4]) - 1n]);
+                } else if (f[2] == 'ipv6' && IPHelper.isIPv6(f[3])) {
+                    let sm = IPHelper.subnet(`${IPHelper.normalise(f[3])}/${f[4]}`);
+                    if (sm) {
+                        ranges[6].push([sm.ipLow, sm.ipHigh]);
+                    }
+                }
+            }
+        }
+
+        let ret = [];
+        for (let version of [4, 6]) {
+            for (let cidr of IPHelper.aggregate(ranges[version], version)) {
+                ret.push(`${cidr.ipLowStr}/${cidr.prefixSize}`);
+            }
+        }
+
+        return ret;
+    }
+
+    /**
+     * Get a signature of the delegated statistics files, which changes when they do.
+     *
+     * @return  {string}    Signature.
+     */
+    delegatedSignature()
+    {
+        return this.delegated.map(fp => {
+            if (!fs.existsSync(fp)) {
+                return `${fp}:missing`;
+            }
+            let st = fs.statSync(fp);
+            return `${fp}:${st.size}:${st.mtimeMs}`;
+        }).join('|');
+    }
+
+    /**
+     * Read a file line by line, gunzipping if need be.
+     *
+     * @param   {string}    fp      File path.
+     * @return  {object}            Async iterator of lines.
+     */
+    _lines(fp)
+    {
+        let input = fs.createReadStream(fp);
+        if (fp.endsWith('.gz')) {
+            input = input.pipe(zlib.createGunzip());
+        }
+
+        return readline.createInterface({
+            input: input,
+            crlfDelay: Infinity,
+        });
+    }
+}
+
+module.exports = PrefixData;
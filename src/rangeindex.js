@@ -0,0 +1,336 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      RangeIndex
+ * @author      Gordon Ansell   <contact@gordonansell.com>
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const IPHelper = require("./iphelper");
+
+/**
+ * Address space bits (IPv4 lives in the IPv4-mapped IPv6 range).
+ */
+const BITS = 128;
+
+/**
+ * Sorted interval index over list items' working.fromDec and working.toDec.
+ *
+ * Items are kept sorted by start (wider ranges first on a tie) and also hashed by
+ * their exact range. List entries are always prefixes, so the entries covering a
+ * range can be found by probing the enclosing prefix of each length in use, and the
+ * entries inside a range by a binary search and a short scan. Both are logarithmic
+ * in the size of the list rather than linear.
+ */
+class RangeIndex
+{
+    /**
+     * Items, sorted.
+     * @var {object[]}
+     */
+    entries = [];
+
+    /**
+     * Items keyed by exact range.
+     * @var {Map}
+     */
+    ranges = new Map();
+
+    /**
+     * Count of items per prefix length.
+     * @var {Map}
+     */
+    prefixes = new Map();
+
+    /**
+     * Clear the index.
+     */
+    clear()
+    {
+        this.entries = [];
+        this.ranges = new Map();
+        this.prefixes = new Map();
+    }
+
+    /**
+     * Build the index from scratch.
+     *
+     * @param   {object[]}  items   Items with working data.
+     */
+    build(items)
+    {
+        this.clear();
+        this.entries = items.slice().sort(RangeIndex.compare);
+        for (let item of this.entries) {
+            this._hash(item);
+        }
+    }
+
+    /**
+     * Number of items indexed.
+     *
+     * @return  {number}
+     */
+    get size()
+    {
+        return this.entries.length;
+    }
+
+    /**
+     * Add an item.
+     *
+     * @param   {object}    item    Item with working data.
+     */
+    add(item)
+    {
+        let pos = this._lowerBound(item);
+        while (pos < this.entries.length && RangeIndex.compare(this.entries[pos], item) == 0) {
+            pos++;
+        }
+        this.entries.splice(pos, 0, item);
+        this._hash(item);
+    }
+
+    /**
+     * Remove an item.
+     *
+     * @param   {object}    item    Item (the same object that was added).
+     * @return  {boolean}           True if it was found, else false.
+     */
+    remove(item)
+    {
+        let pos = this._lowerBound(item);
+        while (pos < this.entries.length && RangeIndex.compare(this.entries[pos], item) == 0) {
+            if (this.entries[pos] === item) {
+                this.entries.splice(pos, 1);
+                this._unhash(item);
+                return true;
+            }
+            pos++;
+        }
+        return false;
+    }
+
+    /**
+     * Get all items in sorted order.
+     *
+     * @return  {object[]}  Items.
+     */
+    sorted()
+    {
+        return this.entries.slice();
+    }
+
+    /**
+     * Get the items with exactly this range.
+     *
+     * @param   {bigint}    fromDec     Start.
+     * @param   {bigint}    toDec       End.
+     * @return  {object[]}              Items.
+     */
+    exact(fromDec, toDec)
+    {
+        return (this.ranges.get(this._key(fromDec, toDec)) || []).slice();
+    }
+
+    /**
+     * Get the items whose range covers the whole of a range.
+     *
+     * @param   {bigint}    fromDec     Start.
+     * @param   {bigint}    toDec       End.
+     * @return  {object[]}              Items, narrowest first.
+     */
+    covering(fromDec, toDec)
+    {
+        let ret = [];
+
+        let lengths = Array.from(this.prefixes.keys()).sort((a, b) => b - a);
+        for (let len of lengths) {
+            let hostBits = BigInt(BITS - len);
+            let net = (fromDec >> hostBits) << hostBits;
+            let high = net + (1n << hostBits) - 1n;
+            if (high < toDec) {
+                continue;
+            }
+            let found = this.ranges.get(this._key(net, high));
+            if (found) {
+                ret.push(...found);
+            }
+        }
+
+        return ret;
+    }
+
+    /**
+     * Get the items whose range lies inside a range.
+     *
+     * @param   {bigint}    fromDec     Start.
+     * @param   {bigint}    toDec       End.
+     * @return  {object[]}              Items, sorted.
+     */
+    within(fromDec, toDec)
+    {
+        let ret = [];
+
+        for (let pos = this._firstFrom(fromDec); pos < this.entries.length; pos++) {
+            let entry = this.entries[pos];
+            if (entry.working.fromDec > toDec) {
+                break;
+            }
+            if (entry.working.toDec <= toDec) {
+                ret.push(entry);
+            }
+        }
+
+        return ret;
+    }
+
+    /**
+     * Get the items whose range overlaps a range at all.
+     *
+     * An overlapping item either starts inside the range or starts before it and so
+     * must cover its first address.
+     *
+     * @param   {bigint}    fromDec     Start.
+     * @param   {bigint}    toDec       End.
+     * @return  {object[]}              Items.
+     */
+    overlapping(fromDec, toDec)
+    {
+        let ret = this.covering(fromDec, fromDec).filter(entry => entry.working.fromDec < fromDec);
+
+        for (let pos = this._firstFrom(fromDec); pos < this.entries.length; pos++) {
+            let entry = this.entries[pos];
+            if (entry.working.fromDec > toDec) {
+                break;
+            }
+            ret.push(entry);
+        }
+
+        return ret;
+    }
+
+    /**
+     * Compare two items for sorting: by start, then wider ranges first.
+     *
+     * @param   {object}    a   First item.
+     * @param   {object}    b   Second item.
+     * @return  {number}        -1, 0 or 1.
+     */
+    static compare(a, b)
+    {
+        return IPHelper.compare(a.working.fromDec, b.working.fromDec) ||
+            IPHelper.compare(b.working.toDec, a.working.toDec);
+    }
+
+    /**
+     * Find the first position not less than an item.
+     *
+     * @param   {object}    item    Item.
+     * @return  {number}            Position.
+     */
+    _lowerBound(item)
+    {
+        let lo = 0;
+        let hi = this.entries.length;
+        while (lo < hi) {
+            let mid = (lo + hi) >>> 1;
+            if (RangeIndex.compare(this.entries[mid], item) < 0) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+        return lo;
+    }
+
+    /**
+     * Find the first position whose start is not less than a value.
+     *
+     * @param   {bigint}    fromDec     Start.
+     * @return  {number}                Position.
+     */
+    _firstFrom(fromDec)
+    {
+        let lo = 0;
+        let hi = this.entries.length;
+        while (lo < hi) {
+            let mid = (lo + hi) >>> 1;
+            if (this.entries[mid].working.fromDec < fromDec) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+        return lo;
+    }
+
+    /**
+     * Hash an item by range.
+     *
+     * @param   {object}    item    Item.
+     */
+    _hash(item)
+    {
+        let key = this._key(item.working.fromDec, item.working.toDec);
+        if (!this.ranges.has(key)) {
+            this.ranges.set(key, []);
+        }
+        this.ranges.get(key).push(item);
+
+        let len = this._prefixLength(item);
+        this.prefixes.set(len, (this.prefixes.get(len) || 0) + 1);
+    }
+
+    /**
+     * Unhash an item.
+     *
+     * @param   {object}    item    Item.
+     */
+    _unhash(item)
+    {
+        let key = this._key(item.working.fromDec, item.working.toDec);
+        let list = (this.ranges.get(key) || []).filter(entry => entry !== item);
+        if (list.length == 0) {
+            this.ranges.delete(key);
+        } else {
+            this.ranges.set(key, list);
+        }
+
+        let len = this._prefixLength(item);
+        let count = (this.prefixes.get(len) || 0) - 1;
+        if (count <= 0) {
+            this.prefixes.delete(len);
+        } else {
+            this.prefixes.set(len, count);
+        }
+    }
+
+    /**
+     * Get the prefix length of an item's range in the shared 128-bit space.
+     *
+     * @param   {object}    item    Item.
+     * @return  {number}            Prefix length.
+     */
+    _prefixLength(item)
+    {
+        let size = item.working.toDec - item.working.fromDec + 1n;
+        return BITS - (size.toString(2).length - 1);
+    }
+
+    /**
+     * Range key.
+     *
+     * @param   {bigint}    fromDec     Start.
+     * @param   {bigint}    toDec       End.
+     * @return  {string}                Key.
+     */
+    _key(fromDec, toDec)
+    {
+        return `${fromDec}-${toDec}`;
+    }
+}
+
+module.exports = RangeIndex;
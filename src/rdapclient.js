@@ -0,0 +1,192 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      RdapClient
+ * @author      Gordon Ansell   <contact@gordonansell.com>
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const got = require("got");
+const IPHelper = require("./iphelper");
+
+/**
+ * RDAP client (RFC 9082/9083) for IP network objects.
+ *
+ * By default queries go to rdap.org, which redirects to the right RIR.
+ */
+class RdapClient
+{
+    /**
+     * Constructor.
+     *
+     * Options (all optional):
+     *  baseUrl:    Base URL, '/ip/<address>' is appended (default 'https://rdap.org').
+     *  timeout:    Request timeout in milliseconds (default 10000).
+     *
+     * @param   {object}    opts    Options.
+     */
+    constructor(opts = {})
+    {
+        opts = opts || {};
+        this.baseUrl = (opts.baseUrl || 'https://rdap.org').replace(/\/+$/, '');
+        this.timeout = opts.timeout || 10000;
+    }
+
+    /**
+     * Fetch the network object for an IP.
+     *
+     * @param   {string}    ip      IP address.
+     * @return  {object}            RDAP JSON.
+     * @throws  {Error}             On request failure.
+     */
+    async fetch(ip)
+    {
+        return await got(`${this.baseUrl}/ip/${ip}`, {
+            timeout: this.timeout,
+            headers: {
+                accept: 'application/rdap+json, application/json',
+            },
+        }).json();
+    }
+
+    /**
+     * Look up an IP and normalise the result.
+     *
+     * @param   {string}    ip      IP address.
+     * @return  {object}            Normalised result (see normalise()).
+     * @throws  {Error}             On request failure.
+     */
+    async lookup(ip)
+    {
+        return this.normalise(await this.fetch(ip));
+    }
+
+    /**
+     * Normalise an RDAP network object.
+     *
+     * Fields are named as in ARIN whois output so the lookup field configs treat all
+     * backends alike: Country, OrgName, OrgAbuseEmail, NetRange, NetLow, NetHigh,
+     * CIDRs. The raw object is kept under 'rdap'.
+     *
+     * @param   {object}    json    RDAP JSON.
+     * @return  {object}            Normalised result.
+     */
+    normalise(json)
+    {
+        let ret = {};
+
+        if (json.handle) {
+            ret.NetHandle = json.handle;
+        }
+        if (json.name) {
+            ret.NetName = json.name;
+        }
+        if (json.country) {
+            ret.Country = json.country.toUpperCase();
+        }
+
+        let registrant = this._findEntity(json.entities, 'registrant');
+        if (registrant) {
+            let fn = this._vcard(registrant, 'fn');
+            if (fn) {
+                ret.OrgName = fn;
+            }
+            if (!ret.Country) {
+                let adr = this._vcardItem(registrant, 'adr');
+                if (adr && adr[1] && adr[1].cc) {
+                    ret.Country = adr[1].cc.toUpperCase();
+                }
+            }
+        }
+
+        let abuse = this._findEntity(json.entities, 'abuse');
+        if (abuse) {
+            let email = this._vcard(abuse, 'email');
+            if (email) {
+                ret.OrgAbuseEmail = email;
+            }
+        }
+
+        if (json.startAddress && json.endAddress) {
+            ret.NetLow = IPHelper.normalise(json.startAddress);
+            ret.NetHigh = IPHelper.normalise(json.endAddress);
+            ret.NetRange = `${ret.NetLow} - ${ret.NetHigh}`;
+
+            let calcs = IPHelper.rangeToCidrs(ret.NetLow, ret.NetHigh);
+            if (calcs) {
+                ret.IPCalcs = calcs;
+                ret.CIDRs = calcs.map(item => item.ipLowStr + '/' + item.prefixSize);
+            }
+        }
+
+        ret.rdap = json;
+
+        return ret;
+    }
+
+    /**
+     * Find an entity by role, searching nested entities too.
+     *
+     * @param   {object[]}  entities    Entities.
+     * @param   {string}    role        Role.
+     * @return  {object|null}           Entity or null.
+     */
+    _findEntity(entities, role)
+    {
+        if (!Array.isArray(entities)) {
+            return null;
+        }
+        for (let entity of entities) {
+            if (Array.isArray(entity.roles) && entity.roles.includes(role)) {
+                return entity;
+            }
+        }
+        for (let entity of entities) {
+            let found = this._findEntity(entity.entities, role);
+            if (found) {
+                return found;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get a vCard property item from an entity.
+     *
+     * @param   {object}    entity  Entity.
+     * @param   {string}    name    Property name.
+     * @return  {array|null}        jCard item [name, params, type, value] or null.
+     */
+    _vcardItem(entity, name)
+    {
+        if (!Array.isArray(entity.vcardArray) || !Array.isArray(entity.vcardArray[1])) {
+            return null;
+        }
+        for (let item of entity.vcardArray[1]) {
+            if (item[0] == name) {
+                return item;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get a vCard text value from an entity.
+     *
+     * @param   {object}    entity  Entity.
+     * @param   {string}    name    Property name.
+     * @return  {string|null}       Value or null.
+     */
+    _vcard(entity, name)
+    {
+        let item = this._vcardItem(entity, name);
+        if (item && typeof item[3] === 'string' && item[3].trim() != '') {
+            return item[3].trim();
+        }
+        return null;
+    }
+}
+
+module.exports = RdapClient;
@@ -0,0 +1,100 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      RecordWriter
+ * @author      Gordon Ansell   <contact@gordonansell.com>
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+/**
+ * Writes records as JSON, CSV or TSV for other programs to read.
+ *
+ * JSON is an array of the records as they are. CSV and TSV have a header line and one
+ * line per record holding just the columns asked for, with arrays joined by spaces and
+ * objects as JSON.
+ */
+class RecordWriter
+{
+    /**
+     * Formats we write.
+     * @var {string[]}
+     */
+    static formats = ['json', 'csv', 'tsv'];
+
+    /**
+     * Constructor.
+     *
+     * @param   {string}    format  Format, one of RecordWriter.formats.
+     * @param   {object}    stream  Stream to write to.
+     */
+    constructor(format, stream = process.stdout)
+    {
+        this.format = format;
+        this.stream = stream;
+    }
+
+    /**
+     * Write some records.
+     *
+     * @param   {object|object[]}   records     Records (or a single object, for JSON only).
+     * @param   {string[]}          columns     Columns for CSV and TSV.
+     */
+    write(records, columns)
+    {
+        if (this.format == 'json') {
+            this.stream.write(JSON.stringify(records, (key, value) =>
+                (typeof value == 'bigint') ? value.toString() : value, 4) + "\n");
+            return;
+        }
+
+        let sep = (this.format == 'tsv') ? "\t" : ',';
+        let lines = [columns.join(sep)];
+
+        for (let record of records) {
+            lines.push(columns.map(col => this._field(this._value(record[col]))).join(sep));
+        }
+
+        this.stream.write(lines.join("\n") + "\n");
+    }
+
+    /**
+     * Get a value as a string.
+     *
+     * @param   {*}         value   Value.
+     * @return  {string}            String.
+     */
+    _value(value)
+    {
+        if (value === undefined || value === null) {
+            return '';
+        }
+        if (Array.isArray(value)) {
+            return value.join(' ');
+        }
+        if (typeof value == 'object') {
+            return JSON.stringify(value);
+        }
+        return String(value);
+    }
+
+    /**
+     * Quote or clean a field for the format.
+     *
+     * @param   {string}    value   Value.
+     * @return  {string}            Field.
+     */
+    _field(value)
+    {
+        if (this.format == 'tsv') {
+            return value.replace(/[\t\r\n]+/g, ' ');
+        }
+        if (/[",\r\n]/.test(value)) {
+            return '"' + value.replace(/"/g, '""') + '"';
+        }
+        return value;
+    }
+}
+
+module.exports = RecordWriter;
@@ -0,0 +1,148 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      HtmlReport
+ * @author      Gordon Ansell   <contact@gordonansell.com> 
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const Report = require("./report");
+
+/**
+ * Stylesheet, inlined so the page stands alone.
+ */
+const STYLE = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #222; margin: 2em auto; max-width: 70em; padding: 0 1em; }
+h1 { border-bottom: 2px solid #444; padding-bottom: .2em; }
+h2 { margin-top: 1.6em; border-bottom: 1px solid #ccc; padding-bottom: .1em; }
+table { border-collapse: collapse; margin: .5em 0; }
+th, td { border: 1px solid #ddd; padding: .25em .6em; text-align: left; vertical-align: top; }
+th { background: #f3f3f3; }
+td.num { text-align: right; font-variant-numeric: tabular-nums; }
+.bar { display: inline-block; height: .8em; margin-right: .3em; vertical-align: middle; }
+.added { background: #c0392b; }
+.expired { background: #7f8c8d; }
+.note { color: #666; font-style: italic; }
+`;
+
+/**
+ * Self-contained HTML page report.
+ */
+class HtmlReport extends Report
+{
+    static format = 'html';
+    static extension = '.html';
+
+    /**
+     * Put the parts together.
+     * 
+     * @param   {string[]}  parts   Rendered parts.
+     * @return  {string}            Document.
+     */
+    document(parts)
+    {
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${this._escape(`${this.stats.list} list report`)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+${parts.join("\n")}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Render the title.
+     * 
+     * @param   {string}    text    Title.
+     * @return  {string}            Rendered output.
+     */
+    title(text)
+    {
+        return `<h1>${this._escape(text)}</h1>`;
+    }
+
+    /**
+     * Render a heading.
+     * 
+     * @param   {string}    text    Heading.
+     * @return  {string}            Rendered output.
+     */
+    heading(text)
+    {
+        return `<h2>${this._escape(text)}</h2>`;
+    }
+
+    /**
+     * Render a line of text.
+     * 
+     * @param   {string}    text    Text.
+     * @return  {string}            Rendered output.
+     */
+    text(text)
+    {
+        return `<p class="note">${this._escape(text)}</p>`;
+    }
+
+    /**
+     * Render the weekly figures, with bars.
+     * 
+     * @param   {object[]}  weeks   Weeks as { week, added, expired }.
+     * @return  {string}            Rendered output.
+     */
+    weekly(weeks)
+    {
+        let max = Math.max(1, ...weeks.map(w => Math.max(w.added, w.expired)));
+        let bar = (n, cls) => `<span class="bar ${cls}" style="width: ${Math.round(n / max * 200)}px"></span>${n}`;
+
+        let rows = weeks.map(w => `<tr><td>${w.week}</td><td>${bar(w.added, 'added')}</td>` + 
+            `<td>${bar(w.expired, 'expired')}</td></tr>`);
+
+        return `<table>\n<tr><th>Week starting</th><th>Added</th><th>Expired</th></tr>\n${rows.join("\n")}\n</table>`;
+    }
+
+    /**
+     * Render a table.
+     * 
+     * @param   {string[]}  head    Column headings.
+     * @param   {Array[]}   rows    Rows of cells.
+     * @return  {string}            Rendered output.
+     */
+    table(head, rows)
+    {
+        if (rows.length == 0) {
+            return `<p class="note">None.</p>`;
+        }
+
+        let lines = ['<table>', '<tr>' + head.map(h => `<th>${this._escape(h)}</th>`).join('') + '</tr>'];
+        for (let row of rows) {
+            lines.push('<tr>' + row.map(cell => (typeof cell == 'number') 
+                ? `<td class="num">${cell}</td>` 
+                : `<td>${this._escape(cell)}</td>`).join('') + '</tr>');
+        }
+        lines.push('</table>');
+
+        return lines.join("\n");
+    }
+
+    /**
+     * Escape text for HTML.
+     * 
+     * @param   {*}         value   Value.
+     * @return  {string}            Escaped text.
+     */
+    _escape(value)
+    {
+        return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+}
+
+module.exports = HtmlReport;
@@ -0,0 +1,18 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      Reports
+ * @author      Gordon Ansell   <contact@gordonansell.com> 
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+/**
+ * Available report renderers, keyed by format name.
+ */
+module.exports = {
+    text: require("./text"),
+    markdown: require("./markdown"),
+    html: require("./html"),
+};
@@ -0,0 +1,90 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      MarkdownReport
+ * @author      Gordon Ansell   <contact@gordonansell.com> 
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const Report = require("./report");
+
+/**
+ * Markdown report, with GitHub-style tables.
+ */
+class MarkdownReport extends Report
+{
+    static format = 'markdown';
+    static extension = '.md';
+
+    /**
+     * Render the title.
+     * 
+     * @param   {string}    text    Title.
+     * @return  {string}            Rendered output.
+     */
+    title(text)
+    {
+        return `# ${text}`;
+    }
+
+    /**
+     * Render a heading.
+     * 
+     * @param   {string}    text    Heading.
+     * @return  {string}            Rendered output.
+     */
+    heading(text)
+    {
+        return `## ${text}`;
+    }
+
+    /**
+     * Render a line of text.
+     * 
+     * @param   {string}    text    Text.
+     * @return  {string}            Rendered output.
+     */
+    text(text)
+    {
+        return `_${this._escape(text)}_`;
+    }
+
+    /**
+     * Render a table.
+     * 
+     * @param   {string[]}  head    Column headings.
+     * @param   {Array[]}   rows    Rows of cells.
+     * @return  {string}            Rendered output.
+     */
+    table(head, rows)
+    {
+        if (rows.length == 0) {
+            return '_None._';
+        }
+
+        let lines = [
+            '| ' + head.map(h => this._escape(h)).join(' | ') + ' |',
+            '| ' + head.map((h, i) => (typeof rows[0][i] == 'number') ? '---:' : '---').join(' | ') + ' |',
+        ];
+        for (let row of rows) {
+            lines.push('| ' + row.map(cell => this._escape(cell)).join(' | ') + ' |');
+        }
+
+        return lines.join("\n");
+    }
+
+    /**
+     * Escape text for Markdown.
+     * 
+     * @param   {*}         value   Value.
+     * @return  {string}            Escaped text.
+     */
+    _escape(value)
+    {
+        return String(value).replace(/([\\|*_`\[\]<>])/g, '\\$1').replace(/[\r\n]+/g, ' ');
+    }
+}
+
+module.exports = MarkdownReport;
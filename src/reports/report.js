@@ -0,0 +1,156 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      Report
+ * @author      Gordon Ansell   <contact@gordonansell.com> 
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+/**
+ * Base class for report renderers.
+ * 
+ * A renderer turns the statistics from BlockStats into a document. The sections are
+ * the same for every format, so subclasses only say how to write a heading, a line of
+ * text and a table.
+ */
+class Report
+{
+    /**
+     * Format name.
+     * @var {string}
+     */
+    static format = null;
+
+    /**
+     * Default file extension.
+     * @var {string}
+     */
+    static extension = null;
+
+    /**
+     * Constructor.
+     * 
+     * @param   {object}    stats   Statistics from BlockStats.
+     */
+    constructor(stats)
+    {
+        this.stats = stats;
+    }
+
+    /**
+     * Render the report.
+     * 
+     * @return  {string}    Rendered output.
+     */
+    render()
+    {
+        let s = this.stats;
+        let parts = [];
+
+        parts.push(this.title(`${s.list} list report`));
+        parts.push(this.text(`Generated ${s.dtGenerated}.`));
+
+        parts.push(this.heading('Summary'));
+        parts.push(this.table(['', 'Count'], [
+            ['Active entries', s.active],
+            ['Permanent entries', s.permanent],
+            ['Expired records', s.expired],
+            ['IPv4 addresses covered', s.space.v4],
+            ['IPv6 /64 networks covered', s.space.v6],
+        ]));
+
+        for (let [key, title, col] of [
+                ['byCountry', 'By country', 'Country'], 
+                ['byOrg', 'By organisation', 'Organisation / ASN'], 
+                ['byReason', 'By reason', 'Reason'], 
+                ['byPorts', 'By ports group', 'Ports']]) {
+            parts.push(this.heading(title));
+            parts.push(this.table([col, 'Entries'], s[key].map(row => [row.key, row.count])));
+        }
+
+        parts.push(this.heading('Per week'));
+        parts.push(this.weekly(s.weekly));
+
+        parts.push(this.heading('Top repeat offenders'));
+        if (s.offenders.length == 0) {
+            parts.push(this.text('No address has been blocked more than once.'));
+        } else {
+            parts.push(this.table(['IP', 'Blocks', 'Expired', 'Offences', 'Last added', 'Blocked now', 'Country', 'Org', 'Reason'],
+                s.offenders.map(o => [o.ip, o.blocks, o.expired, o.offences || '', o.lastAdded, (o.active) ? 'yes' : 'no', 
+                    o.country || '', o.org || '', o.reason || ''])));
+        }
+
+        return this.document(parts);
+    }
+
+    /**
+     * Render the weekly figures.
+     * 
+     * @param   {object[]}  weeks   Weeks as { week, added, expired }.
+     * @return  {string}            Rendered output.
+     */
+    weekly(weeks)
+    {
+        return this.table(['Week starting', 'Added', 'Expired'], weeks.map(w => [w.week, w.added, w.expired]));
+    }
+
+    /**
+     * Put the parts together.
+     * 
+     * @param   {string[]}  parts   Rendered parts.
+     * @return  {string}            Document.
+     */
+    document(parts)
+    {
+        return parts.join("\n\n") + "\n";
+    }
+
+    /**
+     * Render the title.
+     * 
+     * @param   {string}    text    Title.
+     * @return  {string}            Rendered output.
+     */
+    title(text)
+    {
+        return this.heading(text);
+    }
+
+    /**
+     * Render a heading.
+     * 
+     * @param   {string}    text    Heading.
+     * @return  {string}            Rendered output.
+     */
+    heading(text)
+    {
+        throw new Error(`Report '${this.constructor.format}' does not implement heading().`);
+    }
+
+    /**
+     * Render a line of text.
+     * 
+     * @param   {string}    text    Text.
+     * @return  {string}            Rendered output.
+     */
+    text(text)
+    {
+        return text;
+    }
+
+    /**
+     * Render a table.
+     * 
+     * @param   {string[]}  head    Column headings.
+     * @param   {Array[]}   rows    Rows of cells.
+     * @return  {string}            Rendered output.
+     */
+    table(head, rows)
+    {
+        throw new Error(`Report '${this.constructor.format}' does not implement table().`);
+    }
+}
+
+module.exports = Report;
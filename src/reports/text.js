@@ -0,0 +1,67 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      TextReport
+ * @author      Gordon Ansell   <contact@gordonansell.com> 
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const Report = require("./report");
+
+/**
+ * Plain text report, with columns lined up for the console.
+ */
+class TextReport extends Report
+{
+    static format = 'text';
+    static extension = '.txt';
+
+    /**
+     * Render the title.
+     * 
+     * @param   {string}    text    Title.
+     * @return  {string}            Rendered output.
+     */
+    title(text)
+    {
+        return `${text}\n${'='.repeat(text.length)}`;
+    }
+
+    /**
+     * Render a heading.
+     * 
+     * @param   {string}    text    Heading.
+     * @return  {string}            Rendered output.
+     */
+    heading(text)
+    {
+        return `${text}\n${'-'.repeat(text.length)}`;
+    }
+
+    /**
+     * Render a table.
+     * 
+     * @param   {string[]}  head    Column headings.
+     * @param   {Array[]}   rows    Rows of cells.
+     * @return  {string}            Rendered output.
+     */
+    table(head, rows)
+    {
+        if (rows.length == 0) {
+            return '(none)';
+        }
+
+        let cells = [head].concat(rows).map(row => row.map(cell => String(cell)));
+        let widths = head.map((h, i) => Math.max(...cells.map(row => row[i].length)));
+
+        let lines = cells.map(row => row.map((cell, i) => 
+            (typeof rows[0][i] == 'number') ? cell.padStart(widths[i]) : cell.padEnd(widths[i])).join('  ').trimEnd());
+        lines.splice(1, 0, widths.map(w => '-'.repeat(w)).join('  '));
+
+        return lines.join("\n");
+    }
+}
+
+module.exports = TextReport;
@@ -0,0 +1,223 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      Snapshots
+ * @author      Gordon Ansell   <contact@gordonansell.com>
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const syslog = require("greenhat-util/syslog");
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File in the snapshot directory naming the snapshots that have been undone.
+ */
+const UNDONE = 'undone.json';
+
+/**
+ * Rotating copies of list files, taken just before they are overwritten.
+ *
+ * A snapshot is named '<name>.<milliseconds><ext>' after the file it copies and the
+ * time it was taken, so it holds the list as it was up to that moment.
+ */
+class Snapshots
+{
+    /**
+     * Constructor.
+     *
+     * @param   {string}    dir     Directory to keep snapshots in.
+     * @param   {number}    keep    Snapshots to keep per file (0 to take none).
+     */
+    constructor(dir, keep = 50)
+    {
+        this.dir = dir;
+        this.keep = keep;
+    }
+
+    /**
+     * Take a snapshot of a file.
+     *
+     * @param   {string}    filePath    File to copy.
+     * @param   {function}  copy        Function to copy it to a path (defaults to a file copy).
+     * @return  {string|null}           Snapshot path, or null if none is wanted.
+     * @throws  {Error}                 If the snapshot cannot be taken.
+     */
+    async take(filePath, copy = null)
+    {
+        if (this.keep <= 0 || !fs.existsSync(filePath)) {
+            return null;
+        }
+
+        if (!fs.existsSync(this.dir)) {
+            fs.mkdirSync(this.dir, {recursive: true});
+        }
+
+        // Never overwrite a snapshot taken in the same millisecond.
+        let ms = Date.now();
+        let last = this.latest(filePath);
+        if (last && last.dt.getTime() >= ms) {
+            ms = last.dt.getTime() + 1;
+        }
+
+        let fp = this.fileFor(filePath, new Date(ms));
+        if (copy) {
+            await copy(fp);
+        } else {
+            fs.copyFileSync(filePath, fp);
+        }
+        syslog.trace('Snapshots:take', `Snapshot of ${filePath} taken to: ${fp}.`);
+
+        this._rotate(filePath);
+
+        return fp;
+    }
+
+    /**
+     * Get the path of the snapshot of a file taken at a time.
+     *
+     * @param   {string}    filePath    File.
+     * @param   {Date}      dt          When.
+     * @return  {string}                Snapshot path.
+     */
+    fileFor(filePath, dt)
+    {
+        return path.join(this.dir, `${this._base(filePath)}.${dt.getTime()}${path.extname(filePath)}`);
+    }
+
+    /**
+     * List the snapshots of a file.
+     *
+     * @param   {string}    filePath    File.
+     * @return  {object[]}              Snapshots as { file, dt }, oldest first.
+     */
+    list(filePath)
+    {
+        if (!fs.existsSync(this.dir)) {
+            return [];
+        }
+
+        let base = this._base(filePath);
+        let ext = path.extname(filePath);
+        let ret = [];
+
+        for (let name of fs.readdirSync(this.dir)) {
+            let m = name.match(/^(.+)\.(\d+)(\.[^.]+)$/);
+            if (m && m[1] == base && m[3] == ext) {
+                ret.push({
+                    file: path.join(this.dir, name),
+                    dt: new Date(Number(m[2])),
+                });
+            }
+        }
+
+        return ret.sort((a, b) => a.dt - b.dt);
+    }
+
+    /**
+     * Get the latest snapshot of a file.
+     *
+     * @param   {string}    filePath    File.
+     * @return  {object|null}           Snapshot as { file, dt }, or null.
+     */
+    latest(filePath)
+    {
+        let snaps = this.list(filePath);
+        return (snaps.length) ? snaps[snaps.length - 1] : null;
+    }
+
+    /**
+     * See if a snapshot has been undone.
+     *
+     * @param   {object}    snap    Snapshot as { file, dt }.
+     * @return  {boolean}           True if it has, else false.
+     */
+    isUndone(snap)
+    {
+        return this._undone().includes(path.basename(snap.file));
+    }
+
+    /**
+     * Note that a snapshot has been undone, so the next undo goes back further.
+     *
+     * The snapshot itself is kept, for restoring to that time later.
+     *
+     * @param   {object}    snap    Snapshot as { file, dt }.
+     */
+    markUndone(snap)
+    {
+        let names = this._undone().filter(name => fs.existsSync(path.join(this.dir, name)));
+        names.push(path.basename(snap.file));
+
+        let fp = path.join(this.dir, UNDONE);
+        try {
+            let tmp = `${fp}.${process.pid}.tmp`;
+            fs.writeFileSync(tmp, JSON.stringify(names, null, 4));
+            fs.renameSync(tmp, fp);
+        } catch (err) {
+            syslog.error(`Failed to write '${fp}':  ${err.message}`);
+        }
+    }
+
+    /**
+     * Get the names of the snapshots that have been undone.
+     *
+     * @return  {string[]}  File names.
+     */
+    _undone()
+    {
+        let fp = path.join(this.dir, UNDONE);
+        if (!fs.existsSync(fp)) {
+            return [];
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(fp, 'utf-8'));
+        } catch (err) {
+            syslog.warning(`Ignoring unreadable '${fp}': ${err.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Delete a snapshot.
+     *
+     * @param   {object}    snap    Snapshot as { file, dt }.
+     */
+    remove(snap)
+    {
+        try {
+            fs.unlinkSync(snap.file);
+        } catch (err) {
+            syslog.error(`Failed to delete snapshot '${snap.file}':  ${err.message}`);
+        }
+    }
+
+    /**
+     * Delete all but the newest snapshots of a file.
+     *
+     * @param   {string}    filePath    File.
+     */
+    _rotate(filePath)
+    {
+        let snaps = this.list(filePath);
+        while (snaps.length > this.keep) {
+            this.remove(snaps.shift());
+        }
+    }
+
+    /**
+     * Get the snapshot name for a file.
+     *
+     * @param   {string}    filePath    File.
+     * @return  {string}                Name.
+     */
+    _base(filePath)
+    {
+        return path.basename(filePath, path.extname(filePath));
+    }
+}
+
+module.exports = Snapshots;
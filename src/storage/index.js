@@ -0,0 +1,17 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      Storages
+ * @author      Gordon Ansell   <contact@gordonansell.com> 
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+/**
+ * Available storage adapters, keyed by type name.
+ */
+module.exports = {
+    json: require("./json"),
+    sqlite: require("./sqlite"),
+};
@@ -0,0 +1,89 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      JsonStorage
+ * @author      Gordon Ansell   <contact@gordonansell.com> 
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const syslog = require("greenhat-util/syslog");
+const Storage = require("./storage");
+const ListSchema = require("../listschema");
+const fs = require('fs');
+
+/**
+ * JSON file storage.
+ * 
+ * The whole file is rewritten on every save, via a temporary file and a rename so
+ * nobody ever reads half a file.
+ * 
+ * Options:
+ *  writeWorking:   Write working data too.
+ */
+class JsonStorage extends Storage
+{
+    /**
+     * Storage type name.
+     * @var {string}
+     */
+    static type = 'json';
+
+    /**
+     * File extension for this storage type.
+     * @var {string}
+     */
+    static extension = '.json';
+
+    /**
+     * Load the entries, migrated to the current schema.
+     * 
+     * @return  {object[]}  Raw entries.
+     * @throws  {Error}     If the file cannot be read, parsed or migrated.
+     */
+    async load()
+    {
+        let migrated = ListSchema.migrate(JSON.parse(fs.readFileSync(this.filePath)));
+
+        if (migrated.from != migrated.schema) {
+            syslog.trace('JsonStorage:load', `Migrated '${this.filePath}' from schema version ${migrated.from} to ${migrated.schema}.`);
+        }
+
+        return migrated.items;
+    }
+
+    /**
+     * Save the entries.
+     * 
+     * @param   {object[]}  items       Every entry, in memory form.
+     * @param   {object}    changes     Ignored, the whole file is written.
+     */
+    async save(items, changes = null)
+    {
+        let data = null;
+        if (this.opts.writeWorking) {
+            data = JSON.stringify(ListSchema.wrap(items), this._jsonReplacer);
+        } else {
+            data = JSON.stringify(ListSchema.wrap(items.map(item => this.strip(item))));
+        }
+
+        let tmp = `${this.filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, data);
+        fs.renameSync(tmp, this.filePath);
+    }
+
+    /**
+     * JSON replacer that writes big integers as strings.
+     * 
+     * @param   {string}    key     Key.
+     * @param   {any}       value   Value.
+     * @return  {any}               Value to write.
+     */
+    _jsonReplacer(key, value)
+    {
+        return (typeof value === 'bigint') ? value.toString() : value;
+    }
+}
+
+module.exports = JsonStorage;
@@ -0,0 +1,245 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      SqliteStorage
+ * @author      Gordon Ansell   <contact@gordonansell.com>
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const syslog = require("greenhat-util/syslog");
+const Storage = require("./storage");
+const ListSchema = require("../listschema");
+const IPHelper = require("../iphelper");
+
+/**
+ * SQLite database storage.
+ *
+ * One row per entry, keyed by the entry ID, with the whole entry as JSON alongside
+ * indexed columns for the range. Range ends are stored as fixed-width hex so they
+ * sort as numbers do. Only the entries changed since the last save are written, in
+ * a single transaction.
+ */
+class SqliteStorage extends Storage
+{
+    /**
+     * Storage type name.
+     * @var {string}
+     */
+    static type = 'sqlite';
+
+    /**
+     * File extension for this storage type.
+     * @var {string}
+     */
+    static extension = '.sqlite';
+
+    /**
+     * Database handle.
+     * @var {object}
+     */
+    db = null;
+
+    /**
+     * Is the handle read-only?
+     * @var {boolean}
+     */
+    readonly = false;
+
+    /**
+     * Closed, and not to be written again until the next load.
+     * @var {boolean}
+     */
+    closed = false;
+
+    /**
+     * Open the database.
+     *
+     * Reading opens it read-only and leaves it as it is, so reading a snapshot or
+     * validating without the lock changes nothing. The table is created when it is
+     * first opened to write, reopening it if need be.
+     *
+     * @param   {boolean}   write   Open to write?
+     * @return  {object}            Database handle.
+     * @throws  {Error}             If it cannot be opened or is from a newer version.
+     */
+    _open(write = false)
+    {
+        if (this.db && (!write || !this.readonly)) {
+            return this.db;
+        }
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+
+        const Database = require("better-sqlite3");
+        this.db = new Database(this.filePath, (write) ? {} : {readonly: true, fileMustExist: true});
+        this.readonly = !write;
+
+        let version = this.db.pragma('user_version', {simple: true});
+        if (version > ListSchema.VERSION) {
+            this.close();
+            throw new Error(`Schema version ${version} is newer than this version of the program understands (${ListSchema.VERSION}).`);
+        }
+
+        if (write) {
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS items (
+                    id TEXT PRIMARY KEY,
+                    ip TEXT NOT NULL,
+                    ports TEXT,
+                    status INTEGER,
+                    dt_added TEXT,
+                    range_from TEXT NOT NULL,
+                    range_to TEXT NOT NULL,
+                    data TEXT NOT NULL
+                );
+                CREATE INDEX IF NOT EXISTS items_range ON items (range_from, range_to);
+                CREATE INDEX IF NOT EXISTS items_ip ON items (ip);
+            `);
+            this.db.pragma(`user_version = ${ListSchema.VERSION}`);
+        }
+
+        syslog.trace('SqliteStorage:_open', `Opened database${(write) ? '' : ' read-only'}: ${this.filePath}.`);
+
+        return this.db;
+    }
+
+    /**
+     * Load the entries.
+     *
+     * @return  {object[]}  Raw entries, sorted by range.
+     * @throws  {Error}     If the database cannot be read.
+     */
+    async load()
+    {
+        this.closed = false;
+        let db = this._open();
+
+        if (!db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'items'").get()) {
+            return [];
+        }
+
+        let rows = db.prepare('SELECT id, data FROM items ORDER BY range_from, range_to DESC').all();
+
+        return rows.map(row => {
+            try {
+                return JSON.parse(row.data);
+            } catch (err) {
+                throw new Error(`Row ${row.id} is corrupt: ${err.message}`);
+            }
+        });
+    }
+
+    /**
+     * Save the entries.
+     *
+     * @param   {object[]}  items       Every entry, in memory form.
+     * @param   {object}    changes     { all, upserts, deletes } since the last save, or null for all.
+     * @throws  {Error}                 If the database has been closed.
+     */
+    async save(items, changes = null)
+    {
+        let db = this._openIfNotClosed();
+
+        let upsert = db.prepare('INSERT OR REPLACE INTO items (id, ip, ports, status, dt_added, range_from, range_to, data) ' +
+            'VALUES (@id, @ip, @ports, @status, @dt_added, @range_from, @range_to, @data)');
+        let del = db.prepare('DELETE FROM items WHERE id = ?');
+
+        let run = db.transaction(() => {
+            if (!changes || changes.all) {
+                db.prepare('DELETE FROM items').run();
+                for (let item of items) {
+                    upsert.run(this._row(item));
+                }
+            } else {
+                for (let item of changes.deletes) {
+                    del.run(item.id);
+                }
+                for (let item of changes.upserts) {
+                    upsert.run(this._row(item));
+                }
+            }
+        });
+
+        run();
+    }
+
+    /**
+     * Copy the database to another file.
+     *
+     * @param   {string}    dest    Destination path.
+     * @throws  {Error}             If the database has been closed.
+     */
+    async copyTo(dest)
+    {
+        await this._openIfNotClosed(false).backup(dest);
+    }
+
+    /**
+     * Close the database.
+     */
+    close()
+    {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+        this.readonly = false;
+        this.closed = true;
+    }
+
+    /**
+     * Get the database handle for a save or copy, which must not come after close().
+     *
+     * Reopening then would touch the file without whatever lock the caller held.
+     *
+     * @param   {boolean}   write   Open to write (a copy only reads)?
+     * @return  {object}            Database handle.
+     * @throws  {Error}             If the database has been closed.
+     */
+    _openIfNotClosed(write = true)
+    {
+        if (this.closed) {
+            throw new Error(`The database '${this.filePath}' has been closed.`);
+        }
+        return this._open(write);
+    }
+
+    /**
+     * Get the row for an entry.
+     *
+     * @param   {object}    item    Entry.
+     * @return  {object}            Row.
+     */
+    _row(item)
+    {
+        let sm = IPHelper.subnet(item.ip);
+
+        return {
+            id: item.id,
+            ip: item.ip,
+            ports: item.ports || null,
+            status: item.status || null,
+            dt_added: item.dtAdded || null,
+            range_from: this._hex(sm.ipLow),
+            range_to: this._hex(sm.ipHigh),
+            data: JSON.stringify(this.strip(item)),
+        };
+    }
+
+    /**
+     * Fixed-width hex for a range end.
+     *
+     * @param   {bigint}    dec     Value.
+     * @return  {string}            32 hex digits.
+     */
+    _hex(dec)
+    {
+        return dec.toString(16).padStart(32, '0');
+    }
+}
+
+module.exports = SqliteStorage;
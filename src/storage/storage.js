@@ -0,0 +1,111 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      Storage
+ * @author      Gordon Ansell   <contact@gordonansell.com> 
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Base class for list storage adapters.
+ * 
+ * An adapter loads and saves the raw entries of one IP list. save() is given the
+ * changes made since the last save as well as the whole list, so adapters that can
+ * write single rows need not rewrite everything. Subclasses implement load() and
+ * save().
+ */
+class Storage
+{
+    /**
+     * Storage type name.
+     * @var {string}
+     */
+    static type = null;
+
+    /**
+     * File extension for this storage type.
+     * @var {string}
+     */
+    static extension = null;
+
+    /**
+     * Constructor.
+     * 
+     * @param   {string}    filePath    Path to the file.
+     * @param   {object}    opts        Options.
+     */
+    constructor(filePath, opts = {})
+    {
+        this.filePath = filePath;
+        this.opts = opts || {};
+    }
+
+    /**
+     * See if the storage exists yet.
+     * 
+     * @return  {boolean}   True if it does, else false.
+     */
+    exists()
+    {
+        return fs.existsSync(this.filePath);
+    }
+
+    /**
+     * Load the entries, migrated to the current schema.
+     * 
+     * @return  {object[]}  Raw entries.
+     * @throws  {Error}     If the storage cannot be read.
+     */
+    async load()
+    {
+        throw new Error(`Storage '${this.constructor.type}' does not implement load().`);
+    }
+
+    /**
+     * Save the entries.
+     * 
+     * @param   {object[]}  items       Every entry, in memory form.
+     * @param   {object}    changes     { all, upserts, deletes } since the last save, or null for all.
+     * @throws  {Error}                 If the storage cannot be written.
+     */
+    async save(items, changes = null)
+    {
+        throw new Error(`Storage '${this.constructor.type}' does not implement save().`);
+    }
+
+    /**
+     * Copy the storage to another file.
+     * 
+     * @param   {string}    dest    Destination path.
+     */
+    async copyTo(dest)
+    {
+        fs.copyFileSync(this.filePath, dest);
+    }
+
+    /**
+     * Release any resources held.
+     */
+    close()
+    {
+    }
+
+    /**
+     * Get an entry as stored, without working data.
+     * 
+     * @param   {object}    item    Entry.
+     * @return  {object}            Copy of the entry.
+     */
+    strip(item)
+    {
+        let ret = Object.assign({}, item);
+        delete ret.working;
+        return ret;
+    }
+}
+
+module.exports = Storage;
@@ -0,0 +1,229 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      WhoisClient
+ * @author      Gordon Ansell   <contact@gordonansell.com>
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const syslog = require("greenhat-util/syslog");
+const net = require("net");
+
+/**
+ * Well-known whois servers, keyed by registry.
+ */
+const DEFAULT_SERVERS = {
+    iana: 'whois.iana.org',
+    arin: 'whois.arin.net',
+    ripe: 'whois.ripe.net',
+    apnic: 'whois.apnic.net',
+    lacnic: 'whois.lacnic.net',
+    afrinic: 'whois.afrinic.net',
+};
+
+/**
+ * Query formats, keyed by registry. '%s' is replaced by the query.
+ *
+ * ARIN needs 'n +' to return the network records in full.
+ */
+const DEFAULT_QUERIES = {
+    arin: 'n + %s',
+};
+
+/**
+ * Whois client (RFC 3912).
+ *
+ * Starts at IANA and follows 'refer:', 'whois:' and 'ReferralServer:' lines until a
+ * registry gives a final answer.
+ */
+class WhoisClient
+{
+    /**
+     * Constructor.
+     *
+     * Options (all optional):
+     *  servers:        Registry to 'host[:port]' overrides, e.g. { iana: 'localhost:4343' }.
+     *  queries:        Registry to query format overrides.
+     *  start:          Registry to start at (default 'iana').
+     *  port:           Default port (default 43).
+     *  timeout:        Socket timeout in milliseconds (default 10000).
+     *  maxReferrals:   Maximum referrals to follow (default 5).
+     *
+     * @param   {object}    opts    Options.
+     */
+    constructor(opts = {})
+    {
+        opts = opts || {};
+        this.servers = Object.assign({}, DEFAULT_SERVERS, opts.servers || {});
+        this.queries = Object.assign({}, DEFAULT_QUERIES, opts.queries || {});
+        this.start = opts.start || 'iana';
+        this.port = opts.port || 43;
+        this.timeout = opts.timeout || 10000;
+        this.maxReferrals = (opts.maxReferrals !== undefined) ? opts.maxReferrals : 5;
+    }
+
+    /**
+     * Look up an IP address, following referrals.
+     *
+     * @param   {string}    ip      IP address.
+     * @return  {object}            { server, text } from the last server that answered.
+     * @throws  {Error}             On connection failure.
+     */
+    async lookup(ip)
+    {
+        let registry = this.start;
+        let host = this._hostFor(registry);
+        let visited = [];
+        let text = null;
+
+        for (let hops = 0; hops <= this.maxReferrals; hops++) {
+            visited.push(host);
+
+            text = await this.query(host, this._formatQuery(registry, ip));
+            syslog.trace('WhoisClient:lookup', `Queried ${host} for ${ip}.`);
+
+            let referral = this._findReferral(text);
+            if (!referral) {
+                break;
+            }
+
+            registry = this._registryFor(referral);
+            let next = (registry) ? this._hostFor(registry) : referral;
+            if (visited.includes(next)) {
+                break;
+            }
+            host = next;
+        }
+
+        return {
+            server: host,
+            text: text,
+        };
+    }
+
+    /**
+     * Send a single query to a whois server.
+     *
+     * @param   {string}    server  Server as 'host' or 'host:port'.
+     * @param   {string}    query   Query.
+     * @return  {string}            Response text.
+     */
+    query(server, query)
+    {
+        let [host, port] = this._splitServer(server);
+
+        return new Promise((resolve, reject) => {
+            let chunks = [];
+            let socket = net.createConnection({host: host, port: port});
+
+            socket.setTimeout(this.timeout);
+            socket.on('connect', () => {
+                socket.write(query + "\r\n");
+            });
+            socket.on('data', (data) => {
+                chunks.push(data);
+            });
+            socket.on('timeout', () => {
+                socket.destroy(new Error(`Timed out querying ${server}.`));
+            });
+            socket.on('error', (err) => {
+                reject(err);
+            });
+            socket.on('close', (hadError) => {
+                if (!hadError) {
+                    resolve(Buffer.concat(chunks).toString('utf8'));
+                }
+            });
+        });
+    }
+
+    /**
+     * Find a referral in a response.
+     *
+     * @param   {string}    text    Response text.
+     * @return  {string|null}       Referred server as 'host[:port]', or null.
+     */
+    _findReferral(text)
+    {
+        for (let line of text.split("\n")) {
+            let m = line.match(/^\s*(refer|whois|ReferralServer):\s*(\S+)/i);
+            if (!m) {
+                continue;
+            }
+            let target = m[2].trim();
+            if (target.startsWith('rwhois://')) {
+                continue;
+            }
+            return target.replace(/^whois:\/\//i, '').replace(/\/$/, '');
+        }
+        return null;
+    }
+
+    /**
+     * Get the registry for a referred host name, if it is one we know.
+     *
+     * @param   {string}    server  Server as 'host[:port]'.
+     * @return  {string|null}       Registry key or null.
+     */
+    _registryFor(server)
+    {
+        let host = this._splitServer(server)[0].toLowerCase();
+        for (let key of Object.keys(DEFAULT_SERVERS)) {
+            if (DEFAULT_SERVERS[key] == host) {
+                return key;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the configured server for a registry.
+     *
+     * @param   {string}    registry    Registry key.
+     * @return  {string}                Server as 'host[:port]'.
+     */
+    _hostFor(registry)
+    {
+        return this.servers[registry];
+    }
+
+    /**
+     * Format a query for a registry.
+     *
+     * @param   {string}    registry    Registry key (may be null).
+     * @param   {string}    ip          IP address.
+     * @return  {string}                Query.
+     */
+    _formatQuery(registry, ip)
+    {
+        if (registry && this.queries[registry]) {
+            return this.queries[registry].replace('%s', ip);
+        }
+        return ip;
+    }
+
+    /**
+     * Split 'host[:port]'.
+     *
+     * @param   {string}    server  Server.
+     * @return  {array}             [host, port]
+     */
+    _splitServer(server)
+    {
+        let m = server.match(/^\[(.+)\](?::(\d+))?$/);
+        if (m) {
+            return [m[1], (m[2]) ? Number(m[2]) : this.port];
+        }
+        m = server.match(/^([^:]+):(\d+)$/);
+        if (m) {
+            return [m[1], Number(m[2])];
+        }
+        return [server, this.port];
+    }
+}
+
+WhoisClient.DEFAULT_SERVERS = DEFAULT_SERVERS;
+
+module.exports = WhoisClient;
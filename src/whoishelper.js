@@ -2,19 +2,24 @@
  * 
  */
 const syslog = require("greenhat-util/syslog");
-const ipsub = require("ip-subnet-calculator");
 const deasync = require("deasync");
 const got = require("got");
 const striptags = require("striptags");
-const ipsnc = require("ip-subnet-calculator");
+const IPHelper = require("./iphelper");
+const WhoisClient = require("./whoisclient");
+const RdapClient = require("./rdapclient");
 
 class WhoIsHelper
 {
     /**
      * Constructor.
+     * 
+     * @param   {object}    cfg     Configs.
      */
-    constructor()
+    constructor(cfg = {})
     {
+        this.cfg = cfg || {};
+        this.cache = null;
     }
 
     /**
@@ -22,7 +27,7 @@ class WhoIsHelper
      */
     async toDec(ip)
     {
-        return ipsnc.toDecimal(ip);
+        return IPHelper.toDec(ip);
     }
 
     /**
@@ -30,29 +35,108 @@ class WhoIsHelper
      */
     async subnetMask(ip)
     {
-        if (ip.indexOf("/") == -1) {
-            ip += '/32';
-        }
-        let sp = ip.split("/");
-        let op = await ipsnc.calculateSubnetMask(sp[0], sp[1]);
-        return op;
+        return IPHelper.subnet(ip);
     }
 
     /**
-     * Whois
+     * Whois.
+     * 
+     * Tries each backend in cfg.lookup.backends in turn (default: RDAP, native whois,
+     * then the legacy HTTP lookup) and returns the first answer that has a network range.
+     * Answers come from the lookup cache, if one is set, when the IP is in a cached range.
      */
-    async lookup(ip) 
+    async lookup(ip, useCache = true) 
     {
+        if (this.cache && useCache) {
+            let hit = this.cache.get(ip);
+            if (hit) {
+                syslog.trace('WhoIsHelper:lookup', `Cache hit for ${ip} (${hit.NetLow} - ${hit.NetHigh}).`);
+                return hit;
+            }
+        }
+
+        let backends = (this.cfg.lookup && this.cfg.lookup.backends) ? this.cfg.lookup.backends : ['rdap', 'whois', 'http'];
+
         let ret = null;
 
+        for (let backend of backends) {
+            let op = null;
+            switch (backend) {
+                case 'rdap':
+                    op = await this._lookupRdap(ip);
+                    break;
+                case 'whois':
+                    op = await this._lookupWhois(ip);
+                    break;
+                case 'http':
+                    op = await this._lookupHttp(ip);
+                    break;
+                default:
+                    syslog.error(`Unknown lookup backend '${backend}'.`);
+                    continue;
+            }
+
+            if (op && op.NetLow) {
+                if (this.cache) {
+                    this.cache.put(op);
+                }
+                return op;
+            } else if (op && !ret) {
+                ret = op;
+            }
+        }
+
+        return ret || {};
+    }
+
+    /**
+     * RDAP.
+     */
+    async _lookupRdap(ip)
+    {
+        let client = new RdapClient(this.cfg.rdap);
+
+        try {
+            return await client.lookup(ip);
+        } catch (err) {
+            syslog.error(`Could not look up whois data for ${ip} via RDAP, error: ${err.message}.`);
+        }
+
+        return null;
+    }
+
+    /**
+     * Whois over TCP port 43.
+     */
+    async _lookupWhois(ip)
+    {
+        let client = new WhoisClient(this.cfg.whois);
+
         try {
-            const response = await got("http://ga1964.com/lookup.php?ip=" + ip);
-            ret = response.body;
+            let resp = await client.lookup(ip);
+            return this._parse(resp.text);
+        } catch (err) {
+            syslog.error(`Could not look up whois data for ${ip} via whois, error: ${err.message}.`);
+        }
+
+        return null;
+    }
+
+    /**
+     * Whois via the legacy HTTP lookup page.
+     */
+    async _lookupHttp(ip)
+    {
+        let url = (this.cfg.lookup && this.cfg.lookup.httpUrl) ? this.cfg.lookup.httpUrl : "http://ga1964.com/lookup.php?ip=";
+
+        try {
+            const response = await got(url + ip);
+            return this._formatOp(response.body);
         } catch (err) {
             syslog.error(`Could not look up whois data for ${ip}, error: ${err.message}.`);
         }
 
-        return this._formatOp(ret);    
+        return null;
     }
 
     /**
@@ -60,12 +144,18 @@ class WhoIsHelper
      */
     _formatOp(op)
     {
-        let ret = {};
+        return this._parse(striptags(op));
+    }
 
-        op = striptags(op);
+    /**
+     * Parse whois text.
+     */
+    _parse(op)
+    {
+        let ret = {};
 
         for (let line of op.split("\n")) {
-            if (line.startsWith('#')) {
+            if (line.startsWith('#') || line.startsWith('%')) {
                 continue;
             }
             if (line.startsWith('Comment:')) {
@@ -76,38 +166,57 @@ class WhoIsHelper
             }
 
             let ind = line.indexOf(':');
+            if (ind == -1) {
+                continue;
+            }
             let key = line.substring(0, ind);
             let val = line.substring(ind + 1);
 
             ret[key] = val.trim();
         }
 
+        // Align RIR field names with ARIN's, as RDAP results are.
+        if (!ret['Country'] && ret['country']) {
+            ret['Country'] = ret['country'].toUpperCase();
+        }
+        if (!ret['OrgName'] && ret['org-name']) {
+            ret['OrgName'] = ret['org-name'];
+        }
+        if (!ret['OrgAbuseEmail'] && ret['abuse-mailbox']) {
+            ret['OrgAbuseEmail'] = ret['abuse-mailbox'];
+        }
+
         let range = null;
 
         if (ret['NetRange']) {
             range = ret['NetRange'];
         } else if (ret['inetnum']) {
             range = ret['inetnum'];
+        } else if (ret['inet6num']) {
+            range = ret['inet6num'];
         }
 
         if (range) {
             if (range.indexOf('-') != -1) {
                 let sp = range.split('-');
-                ret.NetLow = sp[0].trim();
-                ret.NetHigh = sp[1].trim();
+                ret.NetLow = IPHelper.normalise(sp[0].trim());
+                ret.NetHigh = IPHelper.normalise(sp[1].trim());
             } else if (range.indexOf('/') != -1) {
-                let sp = range.split('/');
-                let sm = ipsnc.calculateSubnetMask(sp[0], sp[1]);
-                ret.NetLow = sm.ipLowStr;
-                ret.NetHigh = sm.ipHighStr;
-            } else {
-                syslog.inspect(sp);
-                syslog.error(`Problem extracting range for lookup output.`);
+                let sm = IPHelper.subnet(range.trim());
+                if (sm) {
+                    ret.NetLow = sm.ipLowStr;
+                    ret.NetHigh = sm.ipHighStr;
+                }
+            }
+
+            ret['IPCalcs'] = (ret.NetLow) ? IPHelper.rangeToCidrs(ret.NetLow, ret.NetHigh) : null;
+
+            if (!ret['IPCalcs']) {
+                syslog.error(`Problem extracting range for lookup output: ${range}`);
                 syslog.inspect(ret);
                 return;
             }
 
-            ret['IPCalcs'] = ipsnc.calculate(ret.NetLow, ret.NetHigh);
             let cidrs = [];
             for (let item of ret['IPCalcs']) {
                 cidrs.push(item.ipLowStr + '/' + item.prefixSize);
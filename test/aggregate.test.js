@@ -0,0 +1,119 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      test/aggregate
+ * @author      Gordon Ansell   <contact@gordonansell.com>
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const IPList = require("../src/iplist");
+
+/**
+ * Make a list that is never read or written.
+ *
+ * @param   {object[]}  entries     Entries as [ip, extra].
+ * @return  {IPList}                List.
+ */
+async function list(entries = [])
+{
+    let ret = new IPList('Blocks', '/nonexistent/blocks.json', {defaultBlockDays: 7, ports: {}, reasons: []},
+        false, false, false);
+    for (let [ip, extra] of entries) {
+        await ret.add(ip, null, Object.assign({}, extra), true);
+    }
+    return ret;
+}
+
+test('_mergeItems: keeps the earliest date, the most offences and the longest block', async () => {
+    let l = await list();
+    let item = l._mergeItems('192.0.2.0/31', [
+        {ip: '192.0.2.0', dtAdded: '2026-02-01T00:00:00.000Z', offences: 1, group: 'AS64500'},
+        {ip: '192.0.2.1', dtAdded: '2026-01-01T00:00:00.000Z', offences: 3, days: 30, group: 'AS64500'},
+    ]);
+
+    assert.strictEqual(item.ip, '192.0.2.0/31');
+    assert.strictEqual(item.dtAdded, '2026-01-01T00:00:00.000Z');
+    assert.strictEqual(item.offences, 3);
+    assert.strictEqual(item.days, 30);
+    assert.strictEqual(item.group, 'AS64500');
+    assert.ok(item.id);
+});
+
+test('_mergeItems: leaves out the block days when they are the default', async () => {
+    let l = await list();
+    let item = l._mergeItems('192.0.2.0/31', [
+        {ip: '192.0.2.0', dtAdded: '2026-01-01T00:00:00.000Z'},
+        {ip: '192.0.2.1', dtAdded: '2026-01-01T00:00:00.000Z'},
+    ]);
+
+    assert.strictEqual(item.days, undefined);
+    assert.strictEqual(item.offences, undefined);
+});
+
+test('_mergeItems: keeps country, org and ASN only when every source agrees', async () => {
+    let l = await list();
+    let item = l._mergeItems('192.0.2.0/31', [
+        {ip: '192.0.2.0', dtAdded: '2026-01-01T00:00:00.000Z', country: 'NL', org: 'One', asn: 'AS64500'},
+        {ip: '192.0.2.1', dtAdded: '2026-01-01T00:00:00.000Z', country: 'NL', org: 'Two', asn: 'AS64500'},
+    ]);
+
+    assert.strictEqual(item.country, 'NL');
+    assert.strictEqual(item.org, undefined);
+    assert.strictEqual(item.asn, 'AS64500');
+});
+
+test('aggregatePlan: merges adjacent entries into a CIDR', async () => {
+    let l = await list([
+        ['192.0.2.0', {reason: 'ssh'}],
+        ['192.0.2.1', {reason: 'ssh'}],
+        ['192.0.2.2/31', {reason: 'ssh'}],
+        ['192.0.2.9', {reason: 'ssh'}],
+    ]);
+    let plan = await l.aggregatePlan();
+
+    assert.strictEqual(plan.length, 1);
+    assert.strictEqual(plan[0].item.ip, '192.0.2.0/30');
+    assert.strictEqual(plan[0].item.reason, 'ssh');
+    assert.deepStrictEqual(plan[0].sources.map(s => s.ip), ['192.0.2.0', '192.0.2.1', '192.0.2.2/31']);
+});
+
+test('aggregatePlan: does not merge across reasons, groups or versions', async () => {
+    let l = await list([
+        ['192.0.2.0', {reason: 'ssh'}],
+        ['192.0.2.1', {reason: 'smtp'}],
+        ['192.0.2.2', {reason: 'ssh', group: 'AS64500'}],
+        ['192.0.2.3', {reason: 'ssh'}],
+        ['2001:db8::', {reason: 'ssh'}],
+        ['2001:db8::1', {reason: 'ssh'}],
+    ]);
+    let plan = await l.aggregatePlan();
+
+    assert.strictEqual(plan.length, 1);
+    assert.strictEqual(plan[0].item.ip, '2001:db8::/127');
+});
+
+test('aggregatePlan: leaves expired entries alone', async () => {
+    let l = await list([
+        ['192.0.2.0', {}],
+        ['192.0.2.1', {}],
+    ]);
+    l.items[1].status = 1;
+
+    assert.deepStrictEqual(await l.aggregatePlan(), []);
+});
+
+test('applyAggregate: replaces the sources with the merged entry', async () => {
+    let l = await list([
+        ['192.0.2.0', {}],
+        ['192.0.2.1', {}],
+        ['192.0.2.8', {}],
+    ]);
+    await l.applyAggregate(await l.aggregatePlan());
+
+    assert.deepStrictEqual(l.items.map(item => item.ip).sort(), ['192.0.2.0/31', '192.0.2.8']);
+    assert.deepStrictEqual(l.find('192.0.2.1').map(item => item.ip), ['192.0.2.0/31']);
+});
@@ -0,0 +1,110 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      test/ingest
+ * @author      Gordon Ansell   <contact@gordonansell.com>
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const parsers = require("../src/ingest");
+
+/**
+ * Make a parser that thinks it is a fixed time.
+ *
+ * @param   {string}    name    Parser name.
+ * @param   {object}    opts    Parser options.
+ * @return  {LogParser}         Parser.
+ */
+function parser(name, opts = {})
+{
+    let ret = new parsers[name](opts);
+    ret.now = new Date(2026, 9, 19, 12, 0, 0);
+    return ret;
+}
+
+test('sshd: a failed password counts', () => {
+    let ev = parser('sshd').parse('Oct 19 10:00:00 host sshd[123]: Failed password for root from 203.0.113.5 port 50022 ssh2');
+    assert.strictEqual(ev.ip, '203.0.113.5');
+    assert.deepStrictEqual(ev.dt, new Date(2026, 9, 19, 10, 0, 0));
+    assert.match(ev.what, /^Failed password for root/);
+});
+
+test('sshd: a failed password for an invalid user counts', () => {
+    let ev = parser('sshd').parse('Oct 19 10:00:00 host sshd[123]: Failed password for invalid user admin from 2001:DB8::1 port 50022 ssh2');
+    assert.strictEqual(ev.ip, '2001:db8::1');
+});
+
+test('sshd: lines that go with a failed attempt do not count it again', () => {
+    let p = parser('sshd');
+    assert.strictEqual(p.parse('Oct 19 10:00:00 host sshd[123]: Invalid user admin from 203.0.113.5 port 50022'), null);
+    assert.strictEqual(p.parse('Oct 19 10:00:00 host sshd[123]: error: maximum authentication attempts exceeded for root from 203.0.113.5 port 50022 ssh2 [preauth]'), null);
+    assert.strictEqual(p.parse('Oct 19 10:00:00 host sshd[123]: Connection closed by invalid user admin 203.0.113.5 port 50022 [preauth]'), null);
+});
+
+test('sshd: a scan without identification counts', () => {
+    let ev = parser('sshd').parse('Oct 19 10:00:00 host sshd[123]: Did not receive identification string from 203.0.113.5 port 50022');
+    assert.strictEqual(ev.ip, '203.0.113.5');
+});
+
+test('sshd: other daemons are ignored', () => {
+    assert.strictEqual(parser('sshd').parse('Oct 19 10:00:00 host su[123]: Failed password for root from 203.0.113.5 port 22 ssh2'), null);
+});
+
+test('sshd: a date later than now is from last year', () => {
+    let ev = parser('sshd').parse('Dec 31 23:59:00 host sshd[123]: Failed password for root from 203.0.113.5 port 22 ssh2');
+    assert.deepStrictEqual(ev.dt, new Date(2025, 11, 31, 23, 59, 0));
+});
+
+test('sshd: RFC 3339 timestamps are understood', () => {
+    let ev = parser('sshd').parse('2026-10-19T10:00:00.123+01:00 host sshd[123]: Failed password for root from 203.0.113.5 port 22 ssh2');
+    assert.strictEqual(ev.dt.toISOString(), '2026-10-19T09:00:00.123Z');
+});
+
+test('nginx: an access log line with a listed status counts', () => {
+    let ev = parser('nginx').parse('203.0.113.5 - - [19/Oct/2026:10:00:00 +0100] "GET /wp-login.php HTTP/1.1" 404 153 "-" "curl/8.0"');
+    assert.strictEqual(ev.ip, '203.0.113.5');
+    assert.strictEqual(ev.dt.toISOString(), '2026-10-19T09:00:00.000Z');
+    assert.strictEqual(ev.what, '404 GET /wp-login.php HTTP/1.1');
+});
+
+test('nginx: other statuses are ignored', () => {
+    let line = '203.0.113.5 - - [19/Oct/2026:10:00:00 +0000] "GET / HTTP/1.1" 200 612';
+    assert.strictEqual(parser('nginx').parse(line), null);
+    assert.strictEqual(parser('nginx', {statuses: [200]}).parse(line).ip, '203.0.113.5');
+});
+
+test('nginx: an error log line naming a client counts', () => {
+    let ev = parser('nginx').parse('2026/10/19 10:00:00 [error] 123#0: *1 access forbidden by rule, client: 203.0.113.5, server: example.com');
+    assert.strictEqual(ev.ip, '203.0.113.5');
+    assert.match(ev.what, /^123#0: \*1 access forbidden by rule/);
+});
+
+test('postfix: a SASL failure counts', () => {
+    let ev = parser('postfix').parse('Oct 19 10:00:00 host postfix/smtpd[123]: warning: unknown[203.0.113.5]: SASL LOGIN authentication failed: UGFzc3dvcmQ6');
+    assert.strictEqual(ev.ip, '203.0.113.5');
+    assert.strictEqual(ev.what, 'SASL LOGIN authentication failed');
+});
+
+test('postfix: a rejected client counts', () => {
+    let ev = parser('postfix').parse('Oct 19 10:00:00 host postfix/smtpd[123]: NOQUEUE: reject: RCPT from unknown[203.0.113.5]: 554 5.7.1 Relay access denied; from=<a@example.com>');
+    assert.strictEqual(ev.ip, '203.0.113.5');
+    assert.strictEqual(ev.what, '554 5.7.1 Relay access denied');
+});
+
+test('postfix: other lines are ignored', () => {
+    assert.strictEqual(parser('postfix').parse('Oct 19 10:00:00 host postfix/smtpd[123]: connect from unknown[203.0.113.5]'), null);
+});
+
+test('lfd: a blocked login failure counts', () => {
+    let ev = parser('lfd').parse('Oct 19 10:00:00 host lfd[123]: (sshd) Failed SSH login from 203.0.113.5 (CN/China/-): 5 in the last 3600 secs - *Blocked in csf* for 3600 secs [LF_SSHD]');
+    assert.strictEqual(ev.ip, '203.0.113.5');
+    assert.strictEqual(ev.what, '(sshd) Failed SSH login');
+});
+
+test('lfd: other lines are ignored', () => {
+    assert.strictEqual(parser('lfd').parse('Oct 19 10:00:00 host lfd[123]: Daemon started on host'), null);
+});
@@ -0,0 +1,116 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      test/journal
+ * @author      Gordon Ansell   <contact@gordonansell.com>
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Journal = require("../src/journal");
+const IPList = require("../src/iplist");
+
+/**
+ * Make an empty directory that is removed after the test.
+ *
+ * @param   {object}    t   Test context.
+ * @return  {string}        Directory.
+ */
+function tmpDir(t)
+{
+    let ret = fs.mkdtempSync(path.join(os.tmpdir(), 'ipm-journal-'));
+    t.after(() => fs.rmSync(ret, {recursive: true, force: true}));
+    return ret;
+}
+
+test('entry: records the change without working data', t => {
+    let j = new Journal(path.join(tmpDir(t), 'journal.jsonl'));
+    let entry = j.entry('Blocks', 'remove', {ip: '192.0.2.1', working: {fromDec: 1n}}, null, 'Done with');
+
+    assert.strictEqual(entry.list, 'Blocks');
+    assert.strictEqual(entry.action, 'remove');
+    assert.strictEqual(entry.ip, '192.0.2.1');
+    assert.deepStrictEqual(entry.before, {ip: '192.0.2.1'});
+    assert.strictEqual(entry.after, null);
+    assert.strictEqual(entry.reason, 'Done with');
+    assert.strictEqual(entry.operator, j.operator);
+});
+
+test('append: writes one line per entry and keeps what was read up to date', t => {
+    let fp = path.join(tmpDir(t), 'journal.jsonl');
+    let j = new Journal(fp);
+    j.record('Blocks', 'add', null, {ip: '192.0.2.1'});
+
+    assert.strictEqual(j.read().length, 1);
+
+    j.append([j.entry('Blocks', 'add', null, {ip: '192.0.2.2'}), j.entry('Allows', 'add', null, {ip: '192.0.2.3'})]);
+
+    assert.deepStrictEqual(j.read().map(entry => entry.ip), ['192.0.2.1', '192.0.2.2', '192.0.2.3']);
+    assert.deepStrictEqual(new Journal(fp).read(), j.read());
+});
+
+test('read: skips unreadable lines', t => {
+    let fp = path.join(tmpDir(t), 'journal.jsonl');
+    fs.writeFileSync(fp, '{"ip":"192.0.2.1"}\nnot json\n\n{"ip":"192.0.2.2"}\n');
+
+    assert.deepStrictEqual(new Journal(fp).read().map(entry => entry.ip), ['192.0.2.1', '192.0.2.2']);
+});
+
+test('covering: finds the entries covering the whole of an address, oldest first', t => {
+    let j = new Journal(path.join(tmpDir(t), 'journal.jsonl'));
+    j.record('Blocks', 'add', null, {ip: '192.0.2.0/24'});
+    j.record('Blocks', 'add', null, {ip: '192.0.2.1'});
+    j.record('Blocks', 'add', null, {ip: '192.0.2.2'});
+    j.record('Blocks', 'remove', {ip: '192.0.2.0/24'}, null);
+
+    assert.deepStrictEqual(j.covering('192.0.2.1').map(entry => `${entry.action} ${entry.ip}`),
+        ['add 192.0.2.0/24', 'add 192.0.2.1', 'remove 192.0.2.0/24']);
+    assert.deepStrictEqual(j.covering('192.0.2.0/30').map(entry => entry.ip), ['192.0.2.0/24', '192.0.2.0/24']);
+    assert.deepStrictEqual(j.covering('198.51.100.1'), []);
+});
+
+test('covering: sees entries appended after the index was built', t => {
+    let j = new Journal(path.join(tmpDir(t), 'journal.jsonl'));
+    j.record('Blocks', 'add', null, {ip: '2001:db8::/32'});
+
+    assert.strictEqual(j.covering('2001:db8::1').length, 1);
+
+    j.record('Blocks', 'expire', {ip: '2001:db8::1'}, {ip: '2001:db8::1', status: 1});
+
+    assert.deepStrictEqual(j.covering('2001:db8::1').map(entry => entry.action), ['add', 'expire']);
+});
+
+test('forIp: finds the entries overlapping a range', t => {
+    let j = new Journal(path.join(tmpDir(t), 'journal.jsonl'));
+    j.record('Blocks', 'add', null, {ip: '192.0.2.0/24'});
+    j.record('Blocks', 'add', null, {ip: '192.0.2.9'});
+    j.record('Blocks', 'add', null, {ip: '198.51.100.1'});
+
+    assert.deepStrictEqual(j.forIp('192.0.2.8-192.0.2.10').map(entry => entry.ip), ['192.0.2.0/24', '192.0.2.9']);
+    assert.deepStrictEqual(j.forIp('192.0.0.0/16').map(entry => entry.ip), ['192.0.2.0/24', '192.0.2.9']);
+});
+
+test('IPList: changes are journalled only once the list is saved', async t => {
+    let dir = tmpDir(t);
+    let l = new IPList('Blocks', path.join(dir, 'blocks.json'), {defaultBlockDays: 7, ports: {}, reasons: []});
+    l.journal = new Journal(path.join(dir, 'journal.jsonl'));
+    await l.read();
+
+    await l.add('192.0.2.1');
+    assert.deepStrictEqual(l.journal.read().map(entry => entry.ip), ['192.0.2.1']);
+
+    l.snapshots = {take: async () => { throw new Error('Disk full'); }};
+    await assert.rejects(l.add('192.0.2.2'), /could not be snapshotted first: Disk full/);
+    assert.deepStrictEqual(l.journal.read().map(entry => entry.ip), ['192.0.2.1']);
+    assert.deepStrictEqual(new Journal(l.journal.filePath).read().map(entry => entry.ip), ['192.0.2.1']);
+
+    l.snapshots = null;
+    await l.write();
+    assert.deepStrictEqual(new Journal(l.journal.filePath).read().map(entry => entry.ip), ['192.0.2.1', '192.0.2.2']);
+});
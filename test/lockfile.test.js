@@ -0,0 +1,138 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      test/lockfile
+ * @author      Gordon Ansell   <contact@gordonansell.com>
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const LockFile = require("../src/lockfile");
+
+/**
+ * Make a lock file path in a directory that is removed after the test.
+ *
+ * @param   {object}    t   Test context.
+ * @return  {string}        Lock file path.
+ */
+function lockPath(t)
+{
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ipm-lock-'));
+    t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+    return path.join(dir, 'ipmanager.lock');
+}
+
+/**
+ * Write a lock as another process would.
+ *
+ * @param   {string}    fp      Lock file path.
+ * @param   {number}    pid     Owner's PID.
+ * @return  {object}            Owner.
+ */
+function lockAs(fp, pid)
+{
+    let owner = {
+        pid: pid,
+        command: 'block 192.0.2.1',
+        dtLocked: new Date().toISOString(),
+    };
+    fs.writeFileSync(fp, JSON.stringify(owner));
+    return owner;
+}
+
+/**
+ * Get the PID of a process that has finished.
+ *
+ * @return  {number}    PID.
+ */
+function deadPid()
+{
+    return spawnSync(process.execPath, ['-e', '']).pid;
+}
+
+test('acquire: takes the lock and release gives it up', async t => {
+    let fp = lockPath(t);
+    let lock = new LockFile(fp, 0);
+
+    assert.strictEqual(await lock.acquire(), true);
+    assert.strictEqual(lock.owner().pid, process.pid);
+    assert.strictEqual(await lock.acquire(), true);
+
+    lock.release();
+    assert.strictEqual(fs.existsSync(fp), false);
+    assert.strictEqual(lock.held, false);
+});
+
+test('acquire: fails while someone else holds the lock', async t => {
+    let fp = lockPath(t);
+    let first = new LockFile(fp, 0);
+    await first.acquire();
+    t.after(() => first.release());
+
+    let second = new LockFile(fp, 0);
+    assert.strictEqual(await second.acquire(), false);
+    assert.strictEqual(second.held, false);
+
+    // Giving up must leave the holder's lock alone.
+    second.release();
+    assert.strictEqual(first.owner().pid, process.pid);
+});
+
+test('acquire: waits for the lock to be released', async t => {
+    let fp = lockPath(t);
+    let first = new LockFile(fp, 0);
+    await first.acquire();
+    setTimeout(() => first.release(), 100);
+
+    let second = new LockFile(fp, 5);
+    assert.strictEqual(await second.acquire(), true);
+    second.release();
+});
+
+test('acquire: does not take over a lock held by a running process', async t => {
+    let fp = lockPath(t);
+    let owner = lockAs(fp, process.ppid);
+
+    assert.strictEqual(await new LockFile(fp, 0).acquire(), false);
+    assert.deepStrictEqual(new LockFile(fp).owner(), owner);
+});
+
+test('acquire: takes over a lock left by a process that has gone', async t => {
+    let fp = lockPath(t);
+    lockAs(fp, deadPid());
+    let lock = new LockFile(fp, 0);
+
+    assert.strictEqual(await lock.acquire(), true);
+    assert.strictEqual(lock.owner().pid, process.pid);
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(fp)), ['ipmanager.lock']);
+    lock.release();
+});
+
+test('_removeStale: puts back a lock taken since it was found stale', t => {
+    let fp = lockPath(t);
+    let stale = lockAs(fp, deadPid());
+    let retaken = lockAs(fp, process.ppid);
+    let lock = new LockFile(fp);
+
+    lock._removeStale(stale);
+
+    assert.deepStrictEqual(lock.owner(), retaken);
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(fp)), ['ipmanager.lock']);
+});
+
+test('_removeStale: leaves it to whoever moved the stale lock first', t => {
+    let fp = lockPath(t);
+    let stale = lockAs(fp, deadPid());
+    fs.unlinkSync(fp);
+
+    new LockFile(fp)._removeStale(stale);
+
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(fp)), []);
+});
@@ -0,0 +1,157 @@
+/**
+ * @file        GreenHat IP Address Manager.
+ * @module      test/undo
+ * @author      Gordon Ansell   <contact@gordonansell.com>
+ * @copyright   Gordon Ansell, 2021.
+ * @license     MIT
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const IPManager = require("../src/ipmanager");
+const IPManage = require("../src/ipmanage");
+const Snapshots = require("../src/snapshots");
+
+/**
+ * Configs for the test data.
+ */
+const CFG = {
+    defaultBlockDays: 7,
+    ports: {},
+    reasons: [],
+    lookup: {cacheDays: 0},
+};
+
+/**
+ * Make an app directory with an empty data directory, removed after the test.
+ *
+ * @param   {object}    t   Test context.
+ * @return  {string}        App directory.
+ */
+function appDir(t)
+{
+    let ret = fs.mkdtempSync(path.join(os.tmpdir(), 'ipm-undo-'));
+    t.after(() => fs.rmSync(ret, {recursive: true, force: true}));
+    fs.mkdirSync(path.join(ret, 'data'));
+    fs.writeFileSync(path.join(ret, 'data', 'config.js'), `module.exports = ${JSON.stringify(CFG)};`);
+    return ret;
+}
+
+/**
+ * Make a change to the lists, as one run would.
+ *
+ * Runs are kept a few milliseconds apart so their snapshots sort by when they were taken.
+ *
+ * @param   {string}    dir     App directory.
+ * @param   {function}  fn      Function to make the change, given the manager.
+ */
+async function change(dir, fn)
+{
+    await new Promise(resolve => setTimeout(resolve, 5));
+    let m = new IPManager(path.join(dir, 'data'), CFG);
+    await m.open();
+    await fn(m);
+    m.close();
+}
+
+/**
+ * Get the addresses in the lists.
+ *
+ * @param   {string}    dir     App directory.
+ * @return  {object}            Addresses as { blocks, allows }.
+ */
+async function lists(dir)
+{
+    let m = new IPManager(path.join(dir, 'data'), CFG);
+    await m.open();
+    m.close();
+    return {
+        blocks: m.blocks.items.map(item => item.ip).sort(),
+        allows: m.allows.items.map(item => item.ip).sort(),
+    };
+}
+
+/**
+ * Run the undo command.
+ *
+ * @param   {string}    dir     App directory.
+ */
+async function undo(dir)
+{
+    await new IPManage(['node', path.join(dir, 'index.js'), 'undo']).run();
+}
+
+test('Snapshots: marks snapshots undone and keeps them', t => {
+    let dir = appDir(t);
+    let snaps = new Snapshots(path.join(dir, 'snapshots'));
+    fs.mkdirSync(snaps.dir);
+    let first = {file: snaps.fileFor('blocks.json', new Date(1000)), dt: new Date(1000)};
+    let second = {file: snaps.fileFor('blocks.json', new Date(2000)), dt: new Date(2000)};
+    fs.writeFileSync(first.file, '[]');
+    fs.writeFileSync(second.file, '[]');
+
+    snaps.markUndone(second);
+
+    assert.strictEqual(snaps.isUndone(first), false);
+    assert.strictEqual(snaps.isUndone(second), true);
+    assert.deepStrictEqual(snaps.list('blocks.json').map(snap => snap.dt.getTime()), [1000, 2000]);
+});
+
+test('undo: goes back one run at a time across both lists', async t => {
+    let dir = appDir(t);
+
+    await change(dir, async m => {
+        await m.blocks.add('192.0.2.1');
+        await m.allows.add('198.51.100.1');
+    });
+    await change(dir, async m => await m.blocks.add('192.0.2.2'));
+    await change(dir, async m => await m.allows.add('198.51.100.2'));
+
+    assert.deepStrictEqual(await lists(dir), {
+        blocks: ['192.0.2.1', '192.0.2.2'],
+        allows: ['198.51.100.1', '198.51.100.2'],
+    });
+
+    await undo(dir);
+    assert.deepStrictEqual(await lists(dir), {
+        blocks: ['192.0.2.1', '192.0.2.2'],
+        allows: ['198.51.100.1'],
+    });
+
+    await undo(dir);
+    assert.deepStrictEqual(await lists(dir), {
+        blocks: ['192.0.2.1'],
+        allows: ['198.51.100.1'],
+    });
+
+    // Nothing older to go back to, so nothing changes.
+    await undo(dir);
+    assert.deepStrictEqual(await lists(dir), {
+        blocks: ['192.0.2.1'],
+        allows: ['198.51.100.1'],
+    });
+});
+
+test('undo: keeps the snapshots it undid and journals the change', async t => {
+    let dir = appDir(t);
+
+    await change(dir, async m => await m.blocks.add('192.0.2.1'));
+    await change(dir, async m => await m.blocks.add('192.0.2.2'));
+    await undo(dir);
+
+    let m = new IPManager(path.join(dir, 'data'), CFG);
+    let snaps = m.snapshots.list(m.blocks.filePath);
+
+    assert.strictEqual(snaps.length, 1);
+    assert.strictEqual(m.snapshots.isUndone(snaps[0]), true);
+
+    let last = m.journal.read().pop();
+    assert.strictEqual(last.action, 'undo');
+    assert.strictEqual(last.ip, '192.0.2.2');
+    assert.strictEqual(last.after, null);
+});